@@ -1,43 +1,586 @@
+// Sound kits. Each voice maps a DrumMachine sound slot (bass, snare, hi-hat,
+// tom, cymbal) to a sample in DrumAudio/ (with optional playback rate and gain
+// tuning), or to one of the built-in SYNTH_VOICES.
+const DRUM_KITS = {
+    '808': {
+        name: '808',
+        voices: [
+            { file: 'bassdrum.wav' },
+            { file: 'snare.wav' },
+            { file: 'hi-hat.wav' },
+            { synth: 'tom' },
+            { synth: 'cymbal', gain: 0.8 }
+        ]
+    },
+    acoustic: {
+        name: 'Acoustic',
+        voices: [
+            { file: 'bassdrum.wav', rate: 1.2, gain: 0.9 },
+            { file: 'snare.wav', rate: 0.9 },
+            { file: 'hi-hat.wav', rate: 0.85, gain: 0.8 },
+            { synth: 'tom', gain: 0.9 },
+            { synth: 'cymbal', gain: 0.7 }
+        ]
+    },
+    electronic: {
+        name: 'Electronic',
+        voices: [
+            { file: 'bassdrum.wav', rate: 0.8, gain: 1.2 },
+            { file: 'snare.wav', rate: 1.3 },
+            { file: 'hi-hat.wav', rate: 1.5, gain: 0.7 },
+            { synth: 'tom', gain: 1.1 },
+            { synth: 'cymbal', gain: 0.6 }
+        ]
+    },
+    synth: {
+        name: 'Synth',
+        voices: [
+            { synth: 'kick' },
+            { synth: 'snare' },
+            { synth: 'hihat' },
+            { synth: 'tom' },
+            { synth: 'cymbal' }
+        ]
+    }
+};
+const DEFAULT_KIT = '808';
+
+// Synthesized drum voices, indexed like DrumMachine sounds. A sound slot whose
+// sample failed to load (e.g. index.html opened over file://) falls back to these.
+const SYNTH_VOICES = ['kick', 'snare', 'hihat', 'tom', 'cymbal'];
+
+// Per-step velocity: grid cells are false (empty) or { velocity } with one of these levels
+const VELOCITY = {
+    GHOST: 1,
+    NORMAL: 2,
+    ACCENT: 3
+};
+// Indexed by velocity level
+const VELOCITY_NAMES = ['', 'GHOST', 'NORMAL', 'ACCENT'];
+const VELOCITY_GAIN = [0, 0.4, 0.8, 1.0]; // Drum loudness
+const VELOCITY_SCALE = [0, 0.75, 1.0, 1.25]; // Alien sprite size
+const VELOCITY_DAMAGE = [0, 0.5, 1.0, 1.5]; // alienShoot() damage multiplier
+const VELOCITY_MIDI = [0, 50, 100, 127]; // Note-on velocity in exported .mid files
+
+// Per-step probability (percent) and conditional trigs. A cell only plays and
+// fires when its condition holds for the loop and its chance roll passes.
+const CELL_CHANCES = [100, 75, 50, 25];
+const CELL_CONDITIONS = [
+    { id: 'always', code: '0', label: '', name: 'ALWAYS' },
+    { id: 'every2', code: '2', label: '2ND', name: 'EVERY 2ND LOOP' },
+    { id: 'every4', code: '4', label: '4TH', name: 'EVERY 4TH LOOP' },
+    { id: 'first', code: 'f', label: '1ST', name: 'FIRST LOOP ONLY' },
+    { id: 'last', code: 'l', label: 'LAST', name: 'LAST LOOP ONLY' }
+];
+
+// Ratchets retrigger a cell up to 4 times inside its step. Each repeat costs
+// the row's budget price again.
+const MAX_RATCHET = 4;
+const RATCHET_PROJECTILE_SCALE = 0.6; // Size and damage of each shot in a ratchet volley
+
+// Euclidean rhythm: `hits` spread as evenly as possible over `steps`, turned
+// right by `rotation` steps. Returns one boolean per step.
+function euclideanRhythm(hits, steps, rotation = 0) {
+    const pattern = [];
+    for (let i = 0; i < steps; i++) {
+        const source = ((i - rotation) % steps + steps) % steps;
+        pattern.push((source * hits) % steps < hits);
+    }
+    return pattern;
+}
+
+// Pattern transforms from the editing toolbar (toast names)
+const PATTERN_TRANSFORMS = {
+    shiftLeft: 'SHIFT LEFT',
+    shiftRight: 'SHIFT RIGHT',
+    reverse: 'REVERSE',
+    invert: 'INVERT',
+    double: 'DOUBLE',
+    thin: 'THIN'
+};
+
+// Transforms one row's cells (its loop length, not the whole grid). Shifts
+// wrap around. Returns, for each step, the column its cell now comes from,
+// NEW_CELL for a new beat, or null for a rest.
+const NEW_CELL = -1;
+function transformRow(cells, type) {
+    const length = cells.length;
+    const half = Math.floor(length / 2);
+    const from = source => cells[source] ? source : null;
+    let hitIndex = 0;
+    switch (type) {
+        case 'shiftLeft':
+            return cells.map((_, col) => from((col + 1) % length));
+        case 'shiftRight':
+            return cells.map((_, col) => from((col - 1 + length) % length));
+        case 'reverse':
+            return cells.map((_, col) => from(length - 1 - col));
+        case 'invert':
+            return cells.map(cell => cell ? null : NEW_CELL);
+        case 'double':
+            // First half copied over the second (an odd last step is kept)
+            return cells.map((_, col) => from(col >= half && col < half * 2 ? col - half : col));
+        case 'thin':
+            // Keep the 1st, 3rd, 5th... hit
+            return cells.map((cell, col) => cell && hitIndex++ % 2 === 0 ? col : null);
+        default:
+            return cells.map((_, col) => from(col));
+    }
+}
+
+// Small seedable PRNG (mulberry32), so the chance rolls of a run can be replayed
+function createRng(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Timing judgement for hits on the defender: how far (in seconds) the impact
+// lands from the nearest beat on the audio clock. A miss breaks the combo.
+const HIT_JUDGEMENTS = [
+    { id: 'perfect', name: 'PERFECT', window: 0.035, bonus: 100, color: '#00ffff' },
+    { id: 'great', name: 'GREAT', window: 0.07, bonus: 50, color: '#00ff00' },
+    { id: 'good', name: 'GOOD', window: 0.12, bonus: 25, color: '#ffff00' },
+    { id: 'miss', name: 'MISS', window: Infinity, bonus: 0, color: '#888888' }
+];
+const BASE_HIT_SCORE = 10;
+const COMBO_STEP = 8; // Every 8 hits in a row raise the multiplier by 1...
+const MAX_COMBO_MULTIPLIER = 4; // ...up to x4
+
+// Difficulty presets. Normal is the AI ladder in updateAIForWave() as is; the
+// others scale the defender's shots, aim, HP and how far ahead it dodges, plus
+// the budget the player gets each wave, power-up drops and boss timers (seconds).
+const DIFFICULTIES = {
+    easy: {
+        name: 'Easy', shotDelay: 1.4, accuracy: 0.75, extraShots: 0, hp: 0.75, lookAhead: 25,
+        budgetStart: 10, budgetStep: 3, budgetCap: 30, dropChance: 0.5, bossShield: 30, bossMissiles: 20
+    },
+    normal: {
+        name: 'Normal', shotDelay: 1, accuracy: 1, extraShots: 0, hp: 1, lookAhead: 50,
+        budgetStart: 8, budgetStep: 2, budgetCap: 24, dropChance: 1, bossShield: 20, bossMissiles: 30
+    },
+    hard: {
+        name: 'Hard', shotDelay: 0.8, accuracy: 1.1, extraShots: 0, hp: 1.25, lookAhead: 70,
+        budgetStart: 7, budgetStep: 2, budgetCap: 20, dropChance: 1.25, bossShield: 15, bossMissiles: 40
+    },
+    nightmare: {
+        name: 'Nightmare', shotDelay: 0.6, accuracy: 1.2, extraShots: 1, hp: 1.5, lookAhead: 90,
+        budgetStart: 6, budgetStep: 1, budgetCap: 16, dropChance: 1.5, bossShield: 10, bossMissiles: 60
+    }
+};
+const DEFAULT_DIFFICULTY = 'normal';
+
+// Defend mode: a human flies the defender instead of the AI
+const PLAYER_SHOT_DELAY = 250; // ms between shots while FIRE is held (halved by Rapid Fire)
+
+// Hot-seat versus: two players swap composer/defender every round. Budget and
+// defender HP grow per pair of rounds so both players get the same conditions.
+const VERSUS_ROUNDS = 4;
+const VERSUS_KILL_SCORE = 50; // Defender points per alien shot down
+const VERSUS_ROUND_BONUS = 500; // Times the round number, to whoever wins the round
+
+// Cross-tab link: the composer tab hosts and runs the whole game, a second tab
+// on the same machine joins to fly the defender and only renders the host's
+// snapshots. Messages over BroadcastChannel, each tagged with the sender's id
+// (`from`) and, from the host, the guest it's meant for (`to`):
+//   guest -> host: hello, input {left, right, fire}, bye
+//   host -> guest: snapshot {state}, busy (someone else is flying), bye
+const LINK_CHANNEL_PREFIX = 'grooveGalaxyLink-';
+const LINK_SNAPSHOT_FRAMES = 2; // Host sends a snapshot every other frame
+const LINK_HEARTBEAT_MS = 500; // Guest resends its input at least this often
+const LINK_TIMEOUT_MS = 3000; // Silence before the other tab counts as gone
+// Everything the guest needs to draw a frame, with the shape each field must
+// have ('nullable' is an object or null)
+const LINK_SNAPSHOT_FIELDS = {
+    grid: 'array', gridRows: 'number', gridCols: 'number', rowLengths: 'array', cellWidth: 'number',
+    aliens: 'array', evolvedCells: 'set', defender: 'object', defenderHP: 'number',
+    defenderMaxHP: 'number', defenderDamageFlash: 'number', defenderSmokeParticles: 'array',
+    bullets: 'array', alienProjectiles: 'array', explosions: 'array', particles: 'array',
+    debris: 'array', popups: 'array', salvoPopups: 'array', muzzleFlashes: 'array',
+    powerUps: 'array', activePowerUps: 'object', fireZones: 'array', bossShield: 'number',
+    wavePhase: 'string', phaseTimer: 'number', currentWave: 'number',
+    currentLoop: 'number', loopsPerWave: 'number', isBossWave: 'boolean', bossDefeatedText: 'number',
+    aiAdaptMessage: 'number', currentCardChoices: 'array', hoveredCardIndex: 'number',
+    versus: 'nullable', score: 'number', combo: 'number', maxCombo: 'number', alienBudget: 'number',
+    alienBudgetMax: 'number', budgetShakeTimer: 'number', currentStep: 'number', rowSteps: 'array',
+    stepPulse: 'number', beatFlash: 'array', stepsPerBeat: 'number', intensity: 'number',
+    shake: 'object', currentSlot: 'string', song: 'array', songPosition: 'number'
+};
+
+function matchesLinkShape(value, shape) {
+    switch (shape) {
+        case 'array':
+            return Array.isArray(value);
+        case 'set':
+            return value instanceof Set;
+        case 'object':
+            return !!value && typeof value === 'object' && !Array.isArray(value);
+        case 'nullable':
+            return value === null || (typeof value === 'object' && !Array.isArray(value));
+        default:
+            return typeof value === shape;
+    }
+}
+
+// Share links: "#v=2&d=<base64url JSON>". Links without a version are the
+// older plain-params kind.
+const SHARE_FORMAT_VERSION = 2;
+
+// URL-safe base64 without padding, for share links (ASCII text only)
+function base64UrlEncode(text) {
+    return btoa(text).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlDecode(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    return atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+}
+
+// Keys typed into a form field (or editable text) are the field's own
+function isEditableTarget(target) {
+    return !!target && (['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName) || !!target.isContentEditable);
+}
+
+// Pattern lengths in steps. stepsPerBeat sets the step size against the BPM's
+// quarter note: 4 = 16ths, 3 = 8th-note triplets, 6 = 16th-note triplets.
+const PATTERN_LENGTHS = {
+    12: { name: '12/8', stepsPerBeat: 3, timeSignature: [12, 8] },
+    16: { name: '4/4', stepsPerBeat: 4, timeSignature: [4, 4] },
+    24: { name: '4/4 triplets', stepsPerBeat: 6, timeSignature: [4, 4] },
+    32: { name: '2 bars 4/4', stepsPerBeat: 4, timeSignature: [4, 4] }
+};
+const DEFAULT_PATTERN_LENGTH = 16;
+
+// Song mode: a bank of patterns, chained by letter into an arrangement
+const PATTERN_SLOTS = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H'];
+const MAX_SONG_LENGTH = 32;
+
+// Standard MIDI Files. Drums go on channel 10 with General MIDI note numbers,
+// indexed like DrumMachine sounds (bass, snare, hi-hat, tom, cymbal).
+const MIDI_DRUM_CHANNEL = 9; // Channel 10, zero-based
+const MIDI_TICKS_PER_BEAT = 96; // Per quarter note
+// Compound meters (12/8) are written as real eighth notes, with the tempo
+// scaled so the game's BPM still counts dotted quarters
+const MIDI_COMPOUND_TEMPO_SCALE = 1.5;
+const GM_DRUM_NOTES = [36, 38, 42, 45, 49];
+// Importing accepts the whole GM drum family for each sound
+const GM_DRUM_FAMILIES = [
+    [35, 36], // Kicks
+    [37, 38, 39, 40], // Snares, rimshot, clap
+    [42, 44, 46], // Closed, pedal and open hi-hats
+    [41, 43, 45, 47, 48, 50], // Toms
+    [49, 51, 52, 53, 55, 57, 59] // Crashes, rides, china, splash
+];
+
 class DrumMachine {
     constructor() {
         this.audioContext = null;
         this.sounds = [];
+        this.voices = [];
+        this.bufferCache = {}; // file -> Promise of decoded AudioBuffer (or null)
+        this.noiseBuffer = null; // Shared white noise for the synth voices
         this.isInitialized = false;
-        this.soundOrder = [0, 1, 2]; // Maps row index to sound index (bass, snare, hi-hat)
+        this.initPromise = null; // Set by the first init(), resolved once the kit is loaded
+        this.soundOrder = [0, 1, 2, 3, 4]; // Maps row index to sound index (bass, snare, hi-hat, tom, cymbal)
+        this.kitId = DEFAULT_KIT;
+        
+        // Mixer settings per grid row - kept even before the AudioContext exists
+        this.mixer = { master: 0.8, channels: [] };
+        this.mixerGraph = null; // { master: GainNode, channels: [{ gain, panner }] }
     }
 
-    async init() {
-        this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-        const soundFiles = ['bassdrum.wav', 'snare.wav', 'hi-hat.wav'];
-        
-        try {
-            this.sounds = await Promise.all(
-                soundFiles.map(file => 
-                    fetch(`DrumAudio/${file}`)
-                        .then(response => response.arrayBuffer())
-                        .then(buffer => this.audioContext.decodeAudioData(buffer))
-                        .catch(err => {
-                            console.warn(`Failed to load ${file}:`, err);
-                            return null;
-                        })
-                )
-            );
+    // Start and Export can both get here first: later calls wait for the same
+    // kit load instead of going ahead without buffers
+    init() {
+        if (!this.initPromise) {
+            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            this.mixerGraph = this.createMixerGraph(this.audioContext);
+            this.initPromise = this.loadKit(this.kitId)
+                .then(() => {
+                    this.isInitialized = true;
+                })
+                .catch(error => {
+                    console.error('Error loading sounds:', error);
+                });
+        }
+        return this.initPromise;
+    }
+
+    loadSample(file) {
+        // Kits share samples, so each file is only fetched and decoded once
+        if (!this.bufferCache[file]) {
+            this.bufferCache[file] = fetch(`DrumAudio/${file}`)
+                .then(response => response.arrayBuffer())
+                .then(buffer => this.audioContext.decodeAudioData(buffer))
+                .catch(err => {
+                    console.warn(`Failed to load ${file}:`, err);
+                    return null;
+                });
+        }
+        return this.bufferCache[file];
+    }
 
-            this.isInitialized = true;
-        } catch (error) {
-            console.error('Error loading sounds:', error);
+    async loadKit(kitId) {
+        if (!DRUM_KITS[kitId]) kitId = DEFAULT_KIT;
+        this.kitId = kitId;
+        
+        // Before the first user gesture there is no AudioContext yet - init() loads the kit
+        if (!this.audioContext) return;
+        
+        const kit = DRUM_KITS[kitId];
+        const sounds = await Promise.all(kit.voices.map(voice => 
+            voice.file ? this.loadSample(voice.file) : null
+        ));
+        
+        // Another kit was picked while this one was loading
+        if (this.kitId !== kitId) return;
+        
+        const missing = kit.voices.filter((voice, i) => voice.file && !sounds[i]).length;
+        if (missing > 0) {
+            console.warn(`${kit.name} kit: ${missing} sample(s) unavailable, using synth voices`);
         }
+        
+        // Swap in one go so the running pattern never plays a half-loaded kit
+        this.sounds = sounds;
+        this.voices = kit.voices;
+    }
+
+    // Audio clock in seconds - falls back to the page clock when Web Audio is unavailable
+    get currentTime() {
+        return this.audioContext ? this.audioContext.currentTime : performance.now() / 1000;
     }
 
-    playSound(index) {
+    playSound(index, when = 0, level = 1) {
         if (!this.isInitialized) return;
-        const buffer = this.sounds[this.soundOrder[index]];
-        if (!buffer) return;
+        this.triggerVoice(this.mixerGraph, index, when, level);
+    }
+
+    // Ratchets: `count` evenly spaced hits inside one step
+    playRatchet(index, when, level, count, stepDuration) {
+        for (let i = 0; i < count; i++) {
+            this.playSound(index, when + i * stepDuration / count, level);
+        }
+    }
+
+    // Plays one hit of a grid row through a mixer graph - live or offline
+    triggerVoice(graph, index, when, level) {
+        const ctx = graph.master.context;
+        const soundIndex = this.soundOrder[index];
+        const buffer = this.sounds[soundIndex];
+        const voice = this.voices[soundIndex] || {};
+        
+        const output = this.getChannelInput(graph, index);
+        
+        if (!buffer) {
+            // Synth kit, or the sample failed to load
+            this.playSynth(voice.synth || SYNTH_VOICES[soundIndex], when, output, (voice.gain || 1) * level);
+            return;
+        }
         
-        const source = this.audioContext.createBufferSource();
+        const source = ctx.createBufferSource();
         source.buffer = buffer;
-        source.connect(this.audioContext.destination);
-        source.start();
+        source.playbackRate.value = voice.rate || 1;
+        
+        // Per-hit gain: kit tuning times step velocity
+        const gainNode = ctx.createGain();
+        gainNode.gain.value = (voice.gain !== undefined ? voice.gain : 1) * level;
+        source.connect(gainNode);
+        gainNode.connect(output);
+        source.start(when);
+    }
+
+    // Renders { row, time, level } hits through the current kit and mix
+    async renderOffline(hits, duration, sampleRate = 44100) {
+        const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        const ctx = new OfflineContext(2, Math.ceil(duration * sampleRate), sampleRate);
+        const graph = this.createMixerGraph(ctx);
+        
+        for (const hit of hits) {
+            this.triggerVoice(graph, hit.row, hit.time, hit.level);
+        }
+        return ctx.startRendering();
+    }
+
+    // 16-bit PCM WAV, channels interleaved
+    encodeWav(buffer) {
+        const channels = buffer.numberOfChannels;
+        const bytesPerSample = 2;
+        const dataSize = buffer.length * channels * bytesPerSample;
+        const view = new DataView(new ArrayBuffer(44 + dataSize));
+        const writeString = (offset, text) => {
+            for (let i = 0; i < text.length; i++) {
+                view.setUint8(offset + i, text.charCodeAt(i));
+            }
+        };
+        
+        writeString(0, 'RIFF');
+        view.setUint32(4, 36 + dataSize, true);
+        writeString(8, 'WAVE');
+        writeString(12, 'fmt ');
+        view.setUint32(16, 16, true); // fmt chunk size
+        view.setUint16(20, 1, true); // PCM
+        view.setUint16(22, channels, true);
+        view.setUint32(24, buffer.sampleRate, true);
+        view.setUint32(28, buffer.sampleRate * channels * bytesPerSample, true);
+        view.setUint16(32, channels * bytesPerSample, true);
+        view.setUint16(34, 16, true); // bits per sample
+        writeString(36, 'data');
+        view.setUint32(40, dataSize, true);
+        
+        const channelData = [];
+        for (let c = 0; c < channels; c++) {
+            channelData.push(buffer.getChannelData(c));
+        }
+        
+        let offset = 44;
+        for (let i = 0; i < buffer.length; i++) {
+            for (let c = 0; c < channels; c++) {
+                const sample = Math.max(-1, Math.min(1, channelData[c][i]));
+                view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+                offset += bytesPerSample;
+            }
+        }
+        
+        return new Blob([view], { type: 'audio/wav' });
+    }
+
+    getChannelSettings(row) {
+        if (!this.mixer.channels[row]) {
+            this.mixer.channels[row] = { volume: 1, pan: 0, mute: false, solo: false };
+        }
+        return this.mixer.channels[row];
+    }
+
+    // Effective channel gain: mute wins, and any solo silences the non-soloed rows
+    getChannelLevel(row) {
+        const settings = this.getChannelSettings(row);
+        const anySolo = this.mixer.channels.some(channel => channel && channel.solo);
+        if (settings.mute || (anySolo && !settings.solo)) return 0;
+        return settings.volume;
+    }
+
+    createMixerGraph(ctx) {
+        const master = ctx.createGain();
+        master.gain.value = this.mixer.master;
+        master.connect(ctx.destination);
+        return { master, channels: [] };
+    }
+
+    // Row strip: gain -> stereo panner -> master, built the first time a row plays
+    getChannelInput(graph, row) {
+        if (!graph.channels[row]) {
+            const ctx = graph.master.context;
+            const gain = ctx.createGain();
+            // StereoPannerNode is missing on older Safari - skip panning there
+            const panner = ctx.createStereoPanner ? ctx.createStereoPanner() : null;
+            if (panner) {
+                gain.connect(panner);
+                panner.connect(graph.master);
+            } else {
+                gain.connect(graph.master);
+            }
+            graph.channels[row] = { gain, panner };
+            this.applyMixer(graph);
+        }
+        return graph.channels[row].gain;
+    }
+
+    applyMixer(graph = this.mixerGraph) {
+        if (!graph) return;
+        graph.master.gain.value = this.mixer.master;
+        graph.channels.forEach((channel, row) => {
+            if (!channel) return;
+            channel.gain.gain.value = this.getChannelLevel(row);
+            if (channel.panner) {
+                channel.panner.pan.value = this.getChannelSettings(row).pan;
+            }
+        });
+    }
+
+    setChannel(row, changes) {
+        Object.assign(this.getChannelSettings(row), changes);
+        this.applyMixer();
+    }
+
+    setMasterVolume(volume) {
+        this.mixer.master = volume;
+        this.applyMixer();
+    }
+
+    getNoiseBuffer(ctx) {
+        if (!this.noiseBuffer) {
+            const length = ctx.sampleRate * 2; // Long enough for the cymbal tail
+            this.noiseBuffer = ctx.createBuffer(1, length, ctx.sampleRate);
+            const data = this.noiseBuffer.getChannelData(0);
+            for (let i = 0; i < length; i++) {
+                data[i] = Math.random() * 2 - 1;
+            }
+        }
+        return this.noiseBuffer;
+    }
+
+    // Pitched oscillator with a pitch sweep and exponential decay
+    synthTone(output, time, { type = 'sine', from, to, sweep, level, decay }) {
+        const ctx = output.context;
+        const osc = ctx.createOscillator();
+        const amp = ctx.createGain();
+        osc.type = type;
+        osc.frequency.setValueAtTime(from, time);
+        osc.frequency.exponentialRampToValueAtTime(to, time + sweep);
+        amp.gain.setValueAtTime(level, time);
+        amp.gain.exponentialRampToValueAtTime(0.001, time + decay);
+        osc.connect(amp);
+        amp.connect(output);
+        osc.start(time);
+        osc.stop(time + decay + 0.05);
+    }
+
+    // Filtered noise burst with exponential decay
+    synthNoise(output, time, { filter, frequency, level, decay }) {
+        const ctx = output.context;
+        const source = ctx.createBufferSource();
+        const band = ctx.createBiquadFilter();
+        const amp = ctx.createGain();
+        source.buffer = this.getNoiseBuffer(ctx);
+        band.type = filter;
+        band.frequency.value = frequency;
+        amp.gain.setValueAtTime(level, time);
+        amp.gain.exponentialRampToValueAtTime(0.001, time + decay);
+        source.connect(band);
+        band.connect(amp);
+        amp.connect(output);
+        source.start(time);
+        source.stop(time + decay + 0.05);
+    }
+
+    playSynth(name, when, output, level = 1) {
+        // Envelopes are absolute, so "now" (0) has to become a real clock time
+        const time = Math.max(when, output.context.currentTime);
+        
+        switch (name) {
+            case 'kick':
+                this.synthTone(output, time, { from: 150, to: 45, sweep: 0.15, level: level, decay: 0.4 });
+                break;
+            case 'snare':
+                this.synthNoise(output, time, { filter: 'highpass', frequency: 1000, level: 0.8 * level, decay: 0.2 });
+                this.synthTone(output, time, { type: 'triangle', from: 220, to: 160, sweep: 0.05, level: 0.5 * level, decay: 0.1 });
+                break;
+            case 'hihat':
+                this.synthNoise(output, time, { filter: 'highpass', frequency: 7000, level: 0.35 * level, decay: 0.05 });
+                break;
+            case 'tom':
+                this.synthTone(output, time, { from: 220, to: 90, sweep: 0.3, level: 0.8 * level, decay: 0.35 });
+                break;
+            case 'cymbal':
+                this.synthNoise(output, time, { filter: 'highpass', frequency: 5000, level: 0.4 * level, decay: 1.2 });
+                this.synthNoise(output, time, { filter: 'bandpass', frequency: 9000, level: 0.2 * level, decay: 0.6 });
+                break;
+        }
     }
 }
 
@@ -74,12 +617,23 @@ class Game {
         
         // STRATEGY: Alien Budget System
         this.alienCosts = [3, 2, 1, 2, 4]; // Bass, Snare, Hi-hat, Tom, Cymbal
-        this.alienBudget = 8; // Current available budget
-        this.alienBudgetMax = 8; // Wave 1 starts at 8
+        this.difficultyId = this.loadDifficultyPreference();
+        this.difficulty = DIFFICULTIES[this.difficultyId];
+        this.alienBudgetMax = this.getBudgetForWave(1); // Wave 1 starts at 8 on Normal
+        this.alienBudget = this.alienBudgetMax; // Current available budget
         this.budgetShakeTimer = 0; // For visual feedback
         
+        // Undo/redo: snapshots of grid, aliens and budget. Cleared every wave so
+        // an undo can't hand back budget from before the wave started.
+        this.undoStack = [];
+        this.redoStack = [];
+        this.historyLimit = 50;
+        
         // STRATEGY: Combo/Syncopation/Silence tracking
         this.salvoPopups = []; // Track salvo visual effects
+        this.combo = 0; // On-beat hits in a row
+        this.maxCombo = 0; // Best combo this run
+        this.lastBeatTime = null; // Audio clock time of the last beat heard
         
         // STRATEGY: Pattern Memory (AI Adaptation)
         this.aiColumnHeatmap = Array(this.gridCols).fill(0); // Track dangerous columns
@@ -107,8 +661,8 @@ class Game {
         this.checkTutorial();
         
         // NEW: Defender HP system
-        this.defenderMaxHP = 60;
-        this.defenderHP = 60;
+        this.defenderMaxHP = Math.round(60 * this.difficulty.hp);
+        this.defenderHP = this.defenderMaxHP;
         this.defenderDamageFlash = 0;
         this.defenderLowHP = false;
         this.defenderSmokeParticles = [];
@@ -122,8 +676,12 @@ class Game {
         this.lastShotTime = 0;
         this.shotDelay = 900;
         this.aiAccuracy = 0.5;
-        this.aiActive = true; // Always active in new mode
+        this.aiActive = true; // False in Defend mode, where a human flies the defender
+        this.humanDefended = false; // A human flew in this run, so it sets no high scores
         this.aiShotsPerTurn = 1; // Increases at higher waves
+        this.keys = { left: false, right: false, fire: false }; // Defend mode keyboard
+        this.versus = null; // Hot-seat match state while one is running
+        this.link = null; // Cross-tab session while hosting or joined
         
         this.defender = {
             x: this.canvas.width / 2,
@@ -133,7 +691,8 @@ class Game {
             speed: 5,
         };
         
-        this.gridCols = 16;
+        this.gridCols = DEFAULT_PATTERN_LENGTH;
+        this.stepsPerBeat = PATTERN_LENGTHS[DEFAULT_PATTERN_LENGTH].stepsPerBeat;
         this.gridRows = 3;
         this.cellWidth = this.canvas.width / this.gridCols;
         this.cellHeight = 40;
@@ -150,8 +709,37 @@ class Game {
         this.instrumentColors = [
             { primary: '#ff4400', secondary: '#ff6600', name: 'Bass' },
             { primary: '#00aaff', secondary: '#ffffff', name: 'Snare' },
-            { primary: '#cc00ff', secondary: '#ff00cc', name: 'Hi-hat' }
+            { primary: '#cc00ff', secondary: '#ff00cc', name: 'Hi-hat' },
+            // Locked until the Extra Row / Cymbal Row cards are picked
+            { primary: '#00ff66', secondary: '#aaffcc', name: 'Tom' },
+            { primary: '#ffcc00', secondary: '#fff2aa', name: 'Cymbal' }
         ];
+        this.baseGridRows = 3;
+        
+        // Polymeter: each row loops on its own step count (at most gridCols)
+        // and has its own playhead. The master step still counts the loops.
+        this.rowLengths = Array(this.gridRows).fill(this.gridCols);
+        this.rowSteps = Array(this.gridRows).fill(0); // Playheads of the step being played
+        this.nextRowSteps = Array(this.gridRows).fill(0); // Playheads the scheduler queues next
+        this.recentRowSteps = []; // Playheads of the last few steps played, newest first
+        
+        // Song mode: the grid above is the current slot of the pattern bank. Other
+        // slots wait in patternBank as { grid, length, rowLengths }. A non-empty
+        // song plays its slots in order, one pattern loop each.
+        this.patternBank = {};
+        this.currentSlot = PATTERN_SLOTS[0];
+        this.song = [];
+        this.songPosition = 0; // Song entry being played
+        this.scheduledSlot = this.currentSlot; // Slot the scheduler queues next
+        this.scheduledSongPosition = 0;
+        // Beats of the current slot its wave can't afford yet, as { row, col, cell }.
+        // They stay out of the grid but are stored back with the pattern.
+        this.budgetTrimmedCells = [];
+        this.slotAliens = {}; // Aliens of the slots switched away from, by slot
+        
+        // Pattern library: named patterns saved in localStorage, newest first
+        this.library = this.loadLibrary();
+        this.libraryDeleteId = null; // Entry whose Del button is waiting for a second click
         
         // Screen shake system
         this.shake = { x: 0, y: 0, intensity: 0, decay: 0.85 };
@@ -186,9 +774,36 @@ class Game {
         this.bullets = [];
         this.explosions = [];
         this.currentStep = 0;
-        this.lastStepTime = 0;
         this.bpm = 120;
-        this.stepInterval = (60 / this.bpm) * 1000 / 4;
+        this.stepInterval = (60 / this.bpm) * 1000 / this.stepsPerBeat;
+        this.swing = 0; // Percent: 100 delays every odd 16th by half a step
+        
+        // Chance rolls come from a seeded RNG. The seed goes in share links, and a
+        // restart replays the same rolls.
+        this.trigSeed = Math.floor(Math.random() * 4294967296);
+        this.trigRng = createRng(this.trigSeed);
+        this.scheduledLoop = 1; // Wave loop (1-based) of the step the scheduler queues next
+        this.editMode = 'velocity'; // What Shift+click / long press changes: velocity, chance, condition or ratchet
+        this.euclidPreview = null; // { row, steps, pattern, affordable } while the Euclid panel is in use
+        
+        // Drag editing on the grid: paint/erase strokes and box selection
+        this.gridPointer = null; // { id, row, col, select, stroke } while a pointer is down on the grid
+        this.selectMode = false; // Dragging selects instead of painting (Alt+drag does too)
+        this.gridSelection = null; // { row0, col0, row1, col1 } corners as dragged
+        this.gridClipboard = null; // Rows of copied cells (false = rest)
+        
+        // Lookahead scheduler: drums are queued on the audio clock ahead of time,
+        // and the visuals/alien fire catch up when each step is actually heard
+        this.stepQueue = []; // { step, time, loopStart } waiting to be shown
+        this.nextStepIndex = 0; // Next step the scheduler will queue
+        this.nextStepTime = 0; // Audio clock time (seconds) of that step
+        this.scheduledSteps = 0; // Steps queued since the sequencer (re)started
+        this.scheduleAheadTime = 0.1; // Seconds of audio queued ahead while visible
+        this.hiddenScheduleAheadTime = 1.5; // Background tabs only get ~1 timer tick per second
+        this.schedulerInterval = 25; // ms between scheduler runs
+        this.schedulerTimer = null;
+        this.staleStepTime = 1.0; // Steps shown later than this (hidden tab) skip their effects
+        this.pendingVolleys = []; // Ratchet shots { row, col, ratchet, time } fired on their sub-hits
         
         // NEW: Muzzle flashes when aliens shoot
         this.muzzleFlashes = [];
@@ -211,49 +826,72 @@ class Game {
         this.controlButton = document.getElementById('controlButton');
         
         this.drumMachine = new DrumMachine();
+        this.drumMachine.kitId = this.loadKitPreference();
         this.bpmControl = document.getElementById('bpm-control');
         this.bpmValue = document.getElementById('bpm-value');
+        this.lengthControl = document.getElementById('length-control');
+        this.editModeControl = document.getElementById('edit-mode');
+        this.defenderModeControl = document.getElementById('defender-mode');
+        this.difficultyControl = document.getElementById('difficulty');
+        this.swingControl = document.getElementById('swing-control');
+        this.swingValue = document.getElementById('swing-value');
+        this.masterVolumeControl = document.getElementById('master-volume');
+        this.masterVolumeValue = document.getElementById('master-volume-value');
+        this.songInput = document.getElementById('song-input');
         
         // Mobile support
         this.touchControls = {
             left: false,
-            right: false
+            right: false,
+            fire: false
         };
+        this.longPressTimer = null;
+        this.suppressNextClick = false; // Swallows the click that ends a long press
         
         // Setup event listeners (called once in constructor)
         this.setupEventListeners();
         this.setupMobileControls();
         
+        // Restore the pattern bank and song from last time (a shared link wins)
+        this.loadSession();
+        
         // Load pattern from URL if present
         this.loadPatternFromURL();
     }
     
     loadHighScores() {
         try {
-            const saved = localStorage.getItem('grooveGalaxyHighScore');
+            const saved = localStorage.getItem(this.getHighScoreKey());
             if (saved) {
                 const data = JSON.parse(saved);
                 this.highScore = data.score || 0;
                 this.highWave = data.wave || 1;
+                this.bestCombo = data.maxCombo || 0;
             } else {
                 this.highScore = 0;
                 this.highWave = 1;
+                this.bestCombo = 0;
             }
         } catch (e) {
             console.warn('Failed to load high scores:', e);
             this.highScore = 0;
             this.highWave = 1;
+            this.bestCombo = 0;
         }
     }
     
     saveHighScores() {
+        // The tables are for the AI defender: a player could just park the ship
+        if (this.humanDefended) return;
         try {
-            if (this.score > this.highScore || this.currentWave > this.highWave) {
+            if (this.score > this.highScore || this.currentWave > this.highWave || this.maxCombo > this.bestCombo) {
                 this.highScore = Math.max(this.score, this.highScore);
                 this.highWave = Math.max(this.currentWave, this.highWave);
-                localStorage.setItem('grooveGalaxyHighScore', JSON.stringify({
+                this.bestCombo = Math.max(this.maxCombo, this.bestCombo);
+                localStorage.setItem(this.getHighScoreKey(), JSON.stringify({
                     score: this.highScore,
-                    wave: this.highWave
+                    wave: this.highWave,
+                    maxCombo: this.bestCombo
                 }));
             }
         } catch (e) {
@@ -261,6 +899,157 @@ class Game {
         }
     }
     
+    // Each difficulty has its own table; Normal keeps the original key
+    getHighScoreKey() {
+        return this.difficultyId === DEFAULT_DIFFICULTY
+            ? 'grooveGalaxyHighScore'
+            : `grooveGalaxyHighScore-${this.difficultyId}`;
+    }
+    
+    loadDifficultyPreference() {
+        try {
+            const saved = localStorage.getItem('grooveGalaxyDifficulty');
+            return saved && DIFFICULTIES[saved] ? saved : DEFAULT_DIFFICULTY;
+        } catch (e) {
+            console.warn('Failed to load difficulty:', e);
+            return DEFAULT_DIFFICULTY;
+        }
+    }
+    
+    saveDifficultyPreference(difficultyId) {
+        try {
+            localStorage.setItem('grooveGalaxyDifficulty', difficultyId);
+        } catch (e) {
+            console.warn('Failed to save difficulty:', e);
+        }
+    }
+    
+    loadKitPreference() {
+        try {
+            const saved = localStorage.getItem('grooveGalaxyKit');
+            return saved && DRUM_KITS[saved] ? saved : DEFAULT_KIT;
+        } catch (e) {
+            console.warn('Failed to load sound kit:', e);
+            return DEFAULT_KIT;
+        }
+    }
+    
+    saveKitPreference(kitId) {
+        try {
+            localStorage.setItem('grooveGalaxyKit', kitId);
+        } catch (e) {
+            console.warn('Failed to save sound kit:', e);
+        }
+    }
+    
+    // Pattern bank and song, saved as { slot, song, bank: { A: { length, rowLengths, grid } } }
+    // with cells stored as velocity levels (0 = off), or whole cells when they
+    // have a chance, condition or ratchet
+    loadSession() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('grooveGalaxySession'));
+            if (!saved || !saved.bank) return;
+            for (const slot of PATTERN_SLOTS) {
+                const pattern = this.parseStoredPattern(saved.bank[slot]);
+                if (pattern) {
+                    this.patternBank[slot] = pattern;
+                }
+            }
+            this.setSong(saved.song || '');
+            this.loadSlot(PATTERN_SLOTS.includes(saved.slot) ? saved.slot : PATTERN_SLOTS[0]);
+        } catch (e) {
+            console.warn('Failed to load session:', e);
+        }
+    }
+    
+    saveSession() {
+        // A linked guest leaves the saved session to the host window
+        if (this.isLinkGuest()) return;
+        try {
+            this.storeCurrentPattern();
+            const bank = {};
+            for (const slot of PATTERN_SLOTS) {
+                const pattern = this.patternBank[slot];
+                if (pattern) {
+                    bank[slot] = this.serializePattern(pattern);
+                }
+            }
+            localStorage.setItem('grooveGalaxySession', JSON.stringify({
+                slot: this.currentSlot,
+                song: this.song.join(''),
+                bank
+            }));
+        } catch (e) {
+            console.warn('Failed to save session:', e);
+        }
+    }
+    
+    // Stored form of a { grid, length, rowLengths } pattern, read back by parseStoredPattern()
+    serializePattern(pattern) {
+        return {
+            length: pattern.length,
+            rowLengths: pattern.rowLengths,
+            grid: pattern.grid.map(row => row.map(cell =>
+                !cell ? 0 : this.isPlainCell(cell) ? cell.velocity : { ...cell }))
+        };
+    }
+    
+    parseStoredCell(value) {
+        const data = typeof value === 'number' ? { velocity: value } : value;
+        if (!data || !Number.isInteger(data.velocity) || data.velocity < VELOCITY.GHOST || data.velocity > VELOCITY.ACCENT) {
+            return false;
+        }
+        const cell = this.createCell(data.velocity);
+        if (CELL_CHANCES.includes(data.chance)) {
+            cell.chance = data.chance;
+        }
+        if (CELL_CONDITIONS.some(condition => condition.id === data.condition)) {
+            cell.condition = data.condition;
+        }
+        if (Number.isInteger(data.ratchet) && data.ratchet >= 1 && data.ratchet <= MAX_RATCHET) {
+            cell.ratchet = data.ratchet;
+        }
+        return cell;
+    }
+    
+    // Rebuilds a saved pattern, dropping anything out of range
+    parseStoredPattern(data) {
+        if (!data || !PATTERN_LENGTHS[data.length] || !Array.isArray(data.grid)) return null;
+        const length = data.length;
+        const grid = [];
+        const rowLengths = [];
+        data.grid.slice(0, this.instrumentColors.length).forEach((cells, row) => {
+            cells = Array.isArray(cells) ? cells : [];
+            grid.push(Array(length).fill().map((_, col) => this.parseStoredCell(cells[col])));
+            const rowLength = Array.isArray(data.rowLengths) ? parseInt(data.rowLengths[row]) : NaN;
+            rowLengths.push(rowLength >= 1 && rowLength <= length ? rowLength : length);
+        });
+        return { grid, length, rowLengths };
+    }
+    
+    // Library entries: { id, name, tags, bpm, swing, kit, saved, pattern } with
+    // the pattern stored like the session's bank slots
+    loadLibrary() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('grooveGalaxyLibrary'));
+            if (!Array.isArray(saved)) return [];
+            return saved.filter(entry => entry && entry.id && this.parseStoredPattern(entry.pattern));
+        } catch (e) {
+            console.warn('Failed to load pattern library:', e);
+            return [];
+        }
+    }
+    
+    saveLibrary() {
+        try {
+            localStorage.setItem('grooveGalaxyLibrary', JSON.stringify(this.library));
+            return true;
+        } catch (e) {
+            console.warn('Failed to save pattern library:', e);
+            return false;
+        }
+    }
+    
     checkTutorial() {
         try {
             const seen = localStorage.getItem('grooveGalaxyTutorialSeen');
@@ -290,68 +1079,109 @@ class Game {
         }
     }
     
+    // Share links are "#v=2&d=<base64url JSON>" (see encodeShareData). Links
+    // without a version are the older "#pattern=...&vel=..." kind, still read.
+    // Either way the patterns are validated and trimmed to the alien budget.
     loadPatternFromURL() {
         try {
             const hash = window.location.hash.substring(1);
             if (!hash) return;
             
             const params = new URLSearchParams(hash);
-            const pattern = params.get('pattern');
-            const bpm = params.get('bpm');
-            
-            if (pattern) {
-                const rows = pattern.split('-');
-                if (rows.length >= 3) {
-                    this.clearGrid();
-                    for (let row = 0; row < Math.min(rows.length, 3); row++) {
-                        const rowBits = parseInt(rows[row], 16);
-                        for (let col = 0; col < 16; col++) {
-                            if (rowBits & (1 << (15 - col))) {
-                                this.grid[row][col] = true;
-                                this.aliens.push({
-                                    row,
-                                    col,
-                                    x: col * this.cellWidth + this.cellWidth / 2,
-                                    y: row * this.cellHeight + this.gridYOffset + this.cellHeight / 2,
-                                    alive: true
-                                });
-                            }
-                        }
-                    }
-                }
+            const version = params.get('v');
+            let shared = null;
+            if (!version) {
+                shared = this.parseLegacyShareParams(params);
+            } else if (parseInt(version) === SHARE_FORMAT_VERSION) {
+                shared = this.decodeShareData(params.get('d'));
+            } else {
+                this.showToast('This link needs a newer version of the game');
+                return;
             }
-            
-            if (bpm) {
-                const newBpm = parseInt(bpm);
-                if (newBpm >= 60 && newBpm <= 200) {
-                    this.bpm = newBpm;
-                    this.bpmControl.value = newBpm;
-                    this.bpmValue.textContent = newBpm;
-                    this.stepInterval = (60 / this.bpm) * 1000 / 4;
-                    const speedScale = 1 + ((this.bpm - 60) / (200 - 60)) * 1.5;
-                    this.defender.speed = Math.round(5 * speedScale);
-                }
+            if (shared) {
+                this.applySharedState(shared);
+            } else {
+                this.showToast('Could not read the shared link');
             }
         } catch (e) {
             console.warn('Failed to load pattern from URL:', e);
         }
     }
     
+    // What a share link holds, validated:
+    // { slot, bank: { A: { grid, length, rowLengths } }, song, bpm, swing, kit, seed, mix, evolved }.
+    // A null slot (old single-pattern links) loads into the current slot and keeps the bank.
+    applySharedState(shared) {
+        const slot = shared.slot || this.currentSlot;
+        if (shared.slot) {
+            this.patternBank = {};
+            this.setSong(shared.song || '');
+        }
+        
+        let dropped = 0;
+        for (const [key, pattern] of Object.entries(shared.bank)) {
+            // Tom and Cymbal beats wait in the bank until their card unlocks the row,
+            // so only the unlocked rows are priced now
+            dropped += this.fitPatternToBudget({ length: pattern.length, grid: pattern.grid.slice(0, this.gridRows) });
+            this.patternBank[key] = pattern;
+        }
+        if (shared.evolved) {
+            this.evolvedCells = new Set(shared.evolved);
+        }
+        if (shared.bank[slot] || shared.slot) {
+            this.loadSlot(slot);
+        }
+        
+        if (shared.bpm) {
+            this.setBpm(shared.bpm);
+        }
+        if (shared.swing !== null) {
+            this.setSwing(shared.swing);
+        }
+        // Replays the sharer's chance rolls
+        if (shared.seed !== null) {
+            this.setTrigSeed(shared.seed);
+        }
+        if (shared.kit) {
+            // Just for this visit - the saved kit preference stays
+            this.drumMachine.loadKit(shared.kit);
+            this.updateKitButtons();
+        }
+        if (shared.mix) {
+            this.decodeMixer(shared.mix);
+        }
+        this.updateBankButtons();
+        
+        if (dropped > 0) {
+            this.showToast(`Shared pattern: ${dropped} beat${dropped === 1 ? '' : 's'} over budget left out`);
+        }
+    }
+    
+    // Drops the cells a pattern can't afford, filling left to right like
+    // loadPreset(). Returns how many were dropped.
+    fitPatternToBudget(pattern) {
+        let cost = 0;
+        let dropped = 0;
+        for (let col = 0; col < pattern.length; col++) {
+            pattern.grid.forEach((cells, row) => {
+                const cell = cells[col];
+                if (!cell) return;
+                const cellCost = this.getCellCost(row, cell);
+                if (cost + cellCost > this.alienBudgetMax) {
+                    cells[col] = false;
+                    dropped++;
+                } else {
+                    cost += cellCost;
+                }
+            });
+        }
+        return dropped;
+    }
+    
     encodePatternToURL() {
         try {
-            const rows = [];
-            for (let row = 0; row < 3; row++) {
-                let rowBits = 0;
-                for (let col = 0; col < 16; col++) {
-                    if (this.grid[row][col]) {
-                        rowBits |= (1 << (15 - col));
-                    }
-                }
-                rows.push(rowBits.toString(16).padStart(4, '0'));
-            }
-            
-            const pattern = rows.join('-');
-            const url = `${window.location.origin}${window.location.pathname}#pattern=${pattern}&bpm=${this.bpm}`;
+            const hash = `v=${SHARE_FORMAT_VERSION}&d=${base64UrlEncode(JSON.stringify(this.encodeShareData()))}`;
+            const url = `${window.location.origin}${window.location.pathname}#${hash}`;
             
             // Copy to clipboard
             if (navigator.clipboard && navigator.clipboard.writeText) {
@@ -368,56 +1198,294 @@ class Game {
             }
             
             // Also update the actual URL hash
-            window.location.hash = `pattern=${pattern}&bpm=${this.bpm}`;
+            window.location.hash = hash;
         } catch (e) {
             console.warn('Failed to encode pattern:', e);
             this.showToast('Failed to create share link');
         }
     }
     
-    showToast(message) {
-        this.toast = {
-            message,
-            life: 120 // 2 seconds at 60fps
+    // Share format v2, as JSON:
+    // { slot, bank: { A: pattern }, song, bpm, swing, kit, seed, mix, evolved: [[row, col]] }
+    // with every filled bank slot (and the current one) in `bank`. New fields
+    // can be added freely - readers skip what they don't know.
+    encodeShareData() {
+        const data = {
+            slot: this.currentSlot,
+            bank: {},
+            bpm: this.bpm,
+            swing: this.swing,
+            kit: this.drumMachine.kitId,
+            seed: this.trigSeed,
+            mix: this.encodeMixer()
         };
+        for (const slot of PATTERN_SLOTS) {
+            if (slot === this.currentSlot || this.slotHasNotes(slot)) {
+                data.bank[slot] = this.encodeSharePattern(this.getSlotPattern(slot));
+            }
+        }
+        if (this.song.length > 0) {
+            data.song = this.song.join('');
+        }
+        if (this.evolvedCells.size > 0) {
+            data.evolved = [...this.evolvedCells].map(key => key.split(',').map(Number));
+        }
+        return data;
     }
-
-    initStarfield() {
-        for (let i = 0; i < 100; i++) {
-            this.stars.push({
-                x: Math.random() * this.canvas.width,
-                y: Math.random() * this.canvas.height,
-                size: Math.random() * 2 + 0.5,
-                speed: Math.random() * 0.5 + 0.2,
-                brightness: Math.random() * 0.5 + 0.5,
-                pulse: 0
-            });
+    
+    decodeShareData(encoded) {
+        let data;
+        try {
+            data = JSON.parse(base64UrlDecode(encoded || ''));
+        } catch (e) {
+            return null;
+        }
+        if (!data || typeof data !== 'object' || !data.bank || typeof data.bank !== 'object') return null;
+        
+        const bank = {};
+        for (const slot of PATTERN_SLOTS) {
+            const pattern = data.bank[slot] && this.decodeSharePattern(data.bank[slot]);
+            if (pattern) {
+                bank[slot] = pattern;
+            }
         }
+        const bpm = parseInt(data.bpm);
+        const swing = parseInt(data.swing);
+        const seed = Number(data.seed);
+        return {
+            slot: PATTERN_SLOTS.includes(data.slot) ? data.slot : PATTERN_SLOTS[0],
+            bank,
+            song: typeof data.song === 'string' ? data.song : '',
+            bpm: bpm >= 60 && bpm <= 200 ? bpm : null,
+            swing: swing >= 0 && swing <= 100 ? swing : null,
+            kit: DRUM_KITS[data.kit] ? data.kit : null,
+            seed: Number.isInteger(seed) && seed >= 0 && seed < 4294967296 ? seed : null,
+            mix: typeof data.mix === 'string' ? data.mix : null,
+            evolved: Array.isArray(data.evolved) ? data.evolved
+                .filter(pos => Array.isArray(pos) && Number.isInteger(pos[0]) && Number.isInteger(pos[1]) &&
+                    pos[0] >= 0 && pos[0] < this.instrumentColors.length && pos[1] >= 0 && pos[1] < 32)
+                .map(([row, col]) => `${row},${col}`) : null
+        };
     }
-
-    getCardPool() {
-        return [
-            // Offensive (red)
-            {
-                id: 'napalmRounds',
-                name: 'Napalm Rounds',
-                icon: '🔥',
-                desc: 'Bass cannons leave fire zones',
-                rarity: 'offensive',
-                color: '#ff4444'
-            },
-            {
-                id: 'chainLightning',
-                name: 'Chain Lightning',
-                icon: '⚡',
-                desc: 'Snare bursts spawn arc shots',
-                rarity: 'offensive',
-                color: '#ff4444'
-            },
-            {
-                id: 'homingBoost',
-                name: 'Homing Boost',
-                icon: '🎯',
+    
+    // A pattern in a v2 link: { len, rows, rl, cells } with one velocity digit
+    // per step in each row string (0 = off). Row lengths are left out unless a
+    // row has its own, and `cells` lists [row, col, chance, condition code,
+    // ratchet] only for cells that use them.
+    encodeSharePattern(pattern) {
+        const rowLengths = pattern.grid.map((_, row) => this.getPatternRowLength(pattern, row));
+        const encoded = {
+            len: pattern.length,
+            rows: pattern.grid.map(cells => cells.slice(0, pattern.length).map(cell => cell ? cell.velocity : 0).join(''))
+        };
+        if (rowLengths.some(rowLength => rowLength !== pattern.length)) {
+            encoded.rl = rowLengths;
+        }
+        const cells = [];
+        pattern.grid.forEach((row, rowIndex) => row.forEach((cell, col) => {
+            if (cell && !this.isPlainCell(cell)) {
+                const condition = CELL_CONDITIONS.find(c => c.id === cell.condition) || CELL_CONDITIONS[0];
+                cells.push([rowIndex, col, cell.chance, condition.code, cell.ratchet]);
+            }
+        }));
+        if (cells.length > 0) {
+            encoded.cells = cells;
+        }
+        return encoded;
+    }
+    
+    // Turned into the session's stored form, so parseStoredPattern() does the checking
+    decodeSharePattern(data) {
+        if (!data || !Array.isArray(data.rows)) return null;
+        const grid = data.rows.map(digits => String(digits).split('').map(digit => parseInt(digit) || 0));
+        (Array.isArray(data.cells) ? data.cells : []).forEach(entry => {
+            if (!Array.isArray(entry)) return;
+            const [row, col, chance, code, ratchet] = entry;
+            if (!grid[row] || !grid[row][col]) return;
+            const condition = CELL_CONDITIONS.find(c => c.code === code);
+            grid[row][col] = { velocity: grid[row][col], chance, condition: condition && condition.id, ratchet };
+        });
+        return this.parseStoredPattern({ length: parseInt(data.len), rowLengths: data.rl, grid });
+    }
+    
+    // Older links: "pattern=<hex rows>&vel=...&len=..." plus the song-mode
+    // slot and bank params. No version, kit or evolved cells.
+    parseLegacyShareParams(params) {
+        const pattern = params.get('pattern');
+        // Older links have no length and are always 16 steps
+        const length = parseInt(params.get('len')) || DEFAULT_PATTERN_LENGTH;
+        const slot = params.get('slot');
+        const seed = params.get('seed');
+        const bpm = parseInt(params.get('bpm'));
+        const swing = parseInt(params.get('swing'));
+        const shared = {
+            slot: PATTERN_SLOTS.includes(slot) ? slot : null,
+            bank: {},
+            song: params.get('song') || '',
+            bpm: bpm >= 60 && bpm <= 200 ? bpm : null,
+            swing: swing >= 0 && swing <= 100 ? swing : null,
+            kit: null,
+            seed: seed && /^\d+$/.test(seed) ? parseInt(seed) : null,
+            mix: params.get('mix'),
+            evolved: null
+        };
+        
+        // Song links carry the whole bank
+        if (shared.slot) {
+            for (const other of PATTERN_SLOTS) {
+                const encoded = params.get(`p${other}`);
+                const bankPattern = other !== shared.slot && encoded && this.decodeBankPattern(encoded);
+                if (bankPattern) {
+                    shared.bank[other] = bankPattern;
+                }
+            }
+        }
+        
+        if (pattern && PATTERN_LENGTHS[length]) {
+            const grid = this.decodeGridRows(pattern, params.get('vel'), length,
+                params.get('chance'), params.get('cond'), params.get('rat'));
+            if (grid.length >= 3) {
+                // Polymeter: one loop length per row
+                const rowLengths = (params.get('rl') || '').split('-');
+                shared.bank[shared.slot || this.currentSlot] = {
+                    grid,
+                    length,
+                    rowLengths: grid.map((_, row) => {
+                        const rowLength = parseInt(rowLengths[row]);
+                        return rowLength >= 1 && rowLength <= length ? rowLength : length;
+                    })
+                };
+            }
+        }
+        return shared;
+    }
+    
+    // Grid rows in older links: one hex digit per 4 steps (first step in the
+    // high bit), plus one velocity digit per step. Rows are joined with "-".
+    // Chance (index into CELL_CHANCES), condition codes and ratchet counts
+    // follow the same layout. Any of them may be missing (the oldest links
+    // only have the hex rows): velocities then default to normal.
+    decodeGridRows(pattern, velocities, length, chances = '', conditions = '', ratchets = '') {
+        const velocityRows = velocities ? velocities.split('-') : [];
+        const chanceRows = chances ? chances.split('-') : [];
+        const conditionRows = conditions ? conditions.split('-') : [];
+        const ratchetRows = ratchets ? ratchets.split('-') : [];
+        return pattern.split('-').slice(0, this.instrumentColors.length).map((hexDigits, row) => {
+            const cells = [];
+            for (let col = 0; col < length; col++) {
+                const nibble = parseInt(hexDigits[Math.floor(col / 4)], 16) || 0;
+                if (nibble & (8 >> (col % 4))) {
+                    const velocity = parseInt((velocityRows[row] || '')[col]);
+                    const cell = this.createCell(
+                        velocity >= VELOCITY.GHOST && velocity <= VELOCITY.ACCENT ? velocity : VELOCITY.NORMAL
+                    );
+                    cell.chance = CELL_CHANCES[parseInt((chanceRows[row] || '')[col])] || 100;
+                    const condition = CELL_CONDITIONS.find(c => c.code === (conditionRows[row] || '')[col]);
+                    cell.condition = condition ? condition.id : 'always';
+                    const ratchet = parseInt((ratchetRows[row] || '')[col]);
+                    cell.ratchet = ratchet >= 1 && ratchet <= MAX_RATCHET ? ratchet : 1;
+                    cells.push(cell);
+                } else {
+                    cells.push(false);
+                }
+            }
+            return cells;
+        });
+    }
+    
+    // Other bank slots in older song links: "len.pattern.vel.rowLengths.chance.cond.rat",
+    // with trailing fields left out
+    decodeBankPattern(encoded) {
+        const [len, rows, vel, rowLengths, chance, cond, rat] = encoded.split('.');
+        const length = parseInt(len);
+        if (!PATTERN_LENGTHS[length] || !rows) return null;
+        const grid = this.decodeGridRows(rows, vel, length, chance, cond, rat);
+        const lengths = rowLengths ? rowLengths.split('-') : [];
+        return {
+            grid,
+            length,
+            rowLengths: grid.map((_, row) => {
+                const rowLength = parseInt(lengths[row]);
+                return rowLength >= 1 && rowLength <= length ? rowLength : length;
+            })
+        };
+    }
+    
+    // Mixer in share links: "master,vol:pan[m][s],..." with one entry per row, all in percent
+    encodeMixer() {
+        const mixer = this.drumMachine.mixer;
+        const rows = [];
+        for (let row = 0; row < this.gridRows; row++) {
+            const channel = this.drumMachine.getChannelSettings(row);
+            rows.push(`${Math.round(channel.volume * 100)}:${Math.round(channel.pan * 100)}` +
+                (channel.mute ? 'm' : '') + (channel.solo ? 's' : ''));
+        }
+        return [Math.round(mixer.master * 100), ...rows].join(',');
+    }
+    
+    decodeMixer(mix) {
+        const [master, ...rows] = mix.split(',');
+        const masterVolume = parseInt(master);
+        if (masterVolume >= 0 && masterVolume <= 100) {
+            this.drumMachine.mixer.master = masterVolume / 100;
+        }
+        rows.forEach((entry, row) => {
+            const match = /^(\d+):(-?\d+)([ms]*)$/.exec(entry);
+            if (!match) return;
+            this.drumMachine.setChannel(row, {
+                volume: Math.min(100, parseInt(match[1])) / 100,
+                pan: Math.max(-100, Math.min(100, parseInt(match[2]))) / 100,
+                mute: match[3].includes('m'),
+                solo: match[3].includes('s')
+            });
+        });
+        this.drumMachine.applyMixer();
+        this.renderMixer();
+    }
+    
+    showToast(message) {
+        this.toast = {
+            message,
+            life: 120 // 2 seconds at 60fps
+        };
+    }
+
+    initStarfield() {
+        for (let i = 0; i < 100; i++) {
+            this.stars.push({
+                x: Math.random() * this.canvas.width,
+                y: Math.random() * this.canvas.height,
+                size: Math.random() * 2 + 0.5,
+                speed: Math.random() * 0.5 + 0.2,
+                brightness: Math.random() * 0.5 + 0.5,
+                pulse: 0
+            });
+        }
+    }
+
+    getCardPool() {
+        return [
+            // Offensive (red)
+            {
+                id: 'napalmRounds',
+                name: 'Napalm Rounds',
+                icon: '🔥',
+                desc: 'Bass cannons leave fire zones',
+                rarity: 'offensive',
+                color: '#ff4444'
+            },
+            {
+                id: 'chainLightning',
+                name: 'Chain Lightning',
+                icon: '⚡',
+                desc: 'Snare bursts spawn arc shots',
+                rarity: 'offensive',
+                color: '#ff4444'
+            },
+            {
+                id: 'homingBoost',
+                name: 'Homing Boost',
+                icon: '🎯',
                 desc: 'Missiles track 2.4x better',
                 rarity: 'offensive',
                 color: '#ff4444'
@@ -460,10 +1528,19 @@ class Game {
                 id: 'extraRow',
                 name: 'Extra Row',
                 icon: '➕',
-                desc: 'Adds a 4th grid row',
+                desc: 'Unlocks the Tom row',
                 rarity: 'utility',
                 color: '#44ff44'
             },
+            {
+                id: 'cymbalRow',
+                name: 'Cymbal Row',
+                icon: '💿',
+                desc: 'Unlocks the Cymbal row',
+                rarity: 'utility',
+                color: '#44ff44',
+                requires: 'extraRow'
+            },
             {
                 id: 'tempoPush',
                 name: 'Tempo Push',
@@ -502,7 +1579,8 @@ class Game {
 
     generateCardChoices() {
         const pool = this.getCardPool();
-        const available = pool.filter(card => !this.upgrades[card.id]);
+        const available = pool.filter(card => !this.upgrades[card.id] &&
+            (!card.requires || this.upgrades[card.requires]));
         
         // If all cards picked, offer repeatable stat boosts (placeholder for now)
         if (available.length === 0) {
@@ -566,7 +1644,10 @@ class Game {
         btnRight.addEventListener('touchend', (e) => { e.preventDefault(); this.touchControls.right = false; });
         btnRight.addEventListener('touchcancel', () => { this.touchControls.right = false; });
         
-        btnShoot.addEventListener('touchstart', (e) => { e.preventDefault(); /* AI shoots automatically */ });
+        // Only does anything in Defend mode - the AI shoots on its own
+        btnShoot.addEventListener('touchstart', (e) => { e.preventDefault(); this.touchControls.fire = true; });
+        btnShoot.addEventListener('touchend', (e) => { e.preventDefault(); this.touchControls.fire = false; });
+        btnShoot.addEventListener('touchcancel', () => { this.touchControls.fire = false; });
     }
 
     setupEventListeners() {
@@ -575,11 +1656,48 @@ class Game {
             const newBpm = parseInt(this.bpmControl.value);
             this.bpm = newBpm;
             this.bpmValue.textContent = newBpm;
-            this.stepInterval = (60 / this.bpm) * 1000 / 4;
+            this.stepInterval = (60 / this.bpm) * 1000 / this.stepsPerBeat;
             
             const speedScale = 1 + ((this.bpm - 60) / (200 - 60)) * 1.5;
             this.defender.speed = Math.round(5 * speedScale);
         });
+        
+        // Setup swing control
+        if (this.swingControl) {
+            this.swingControl.addEventListener('input', () => {
+                this.setSwing(parseInt(this.swingControl.value));
+            });
+        }
+        
+        // Setup pattern length control
+        if (this.lengthControl) {
+            this.lengthControl.addEventListener('change', () => {
+                this.setPatternLength(parseInt(this.lengthControl.value));
+            });
+        }
+        
+        // Setup what Shift+click / long press edits
+        if (this.editModeControl) {
+            this.editModeControl.addEventListener('change', () => {
+                this.editMode = this.editModeControl.value;
+            });
+        }
+        
+        // AI or human defender
+        if (this.defenderModeControl) {
+            this.defenderModeControl.addEventListener('change', () => {
+                this.setDefenderMode(this.defenderModeControl.value);
+                this.defenderModeControl.blur(); // Arrow keys fly the ship, not the select
+            });
+        }
+        
+        if (this.difficultyControl) {
+            this.difficultyControl.value = this.difficultyId;
+            this.difficultyControl.addEventListener('change', () => {
+                this.setDifficulty(this.difficultyControl.value);
+                this.difficultyControl.blur();
+            });
+        }
 
         // Initialize control button
         this.controlButton.onclick = async () => {
@@ -590,6 +1708,9 @@ class Game {
                     console.warn('Audio init failed (CORS?), continuing without sound:', e);
                 }
                 this.isStarted = true;
+                this.startSequencer();
+                // Runs off a timer rather than rAF so the beat survives frame drops and tab throttling
+                this.schedulerTimer = setInterval(() => this.scheduleSteps(), this.schedulerInterval);
                 this.animate();
                 this.controlButton.textContent = 'Pause';
                 
@@ -606,25 +1727,94 @@ class Game {
         };
 
         document.addEventListener('keydown', (e) => {
-            if (e.key === 'p' || e.key === 'P') {
+            // A linked guest only flies; the host tab handles everything else
+            if (this.isLinkGuest()) {
+                if (!isEditableTarget(e.target) && this.setDefenderKey(e.key, true)) {
+                    e.preventDefault();
+                }
+                return;
+            }
+            
+            // Ctrl+Z / Ctrl+Shift+Z (Cmd on Mac), but leave form fields their own undo
+            // (and copy/paste)
+            if ((e.ctrlKey || e.metaKey) && !isEditableTarget(e.target)) {
+                const key = e.key.toLowerCase();
+                if (key === 'z') {
+                    e.preventDefault();
+                    if (e.shiftKey) {
+                        this.redo();
+                    } else {
+                        this.undo();
+                    }
+                    return;
+                } else if (key === 'y') {
+                    e.preventDefault();
+                    this.redo();
+                    return;
+                } else if ((key === 'c' || key === 'x') && this.gridSelection) {
+                    // Copy/cut/paste the grid selection
+                    e.preventDefault();
+                    this.copySelection(key === 'x');
+                    return;
+                } else if (key === 'v' && this.gridClipboard) {
+                    e.preventDefault();
+                    this.pasteSelection();
+                    return;
+                }
+            }
+            
+            // Typing a song shouldn't pause the game
+            if (isEditableTarget(e.target)) return;
+            
+            // Hot-seat: Enter hands the grid over
+            if (e.key === 'Enter' && this.versus && this.wavePhase === 'prepare') {
+                e.preventDefault();
+                this.versusReady();
+                return;
+            }
+            
+            // Defend mode: fly and shoot
+            if (!this.aiActive && this.setDefenderKey(e.key, true)) {
+                e.preventDefault();
+                return;
+            }
+            
+            if (e.key === 'Escape') {
+                this.gridSelection = null;
+            } else if (e.key === 'p' || e.key === 'P') {
                 this.togglePause();
             } else if (e.key === 'r' || e.key === 'R') {
                 if (this.wavePhase === 'gameover') {
-                    this.restartGame();
+                    if (this.versus) {
+                        this.startVersus();
+                    } else {
+                        this.restartGame();
+                    }
                 }
             }
         });
 
+        document.addEventListener('keyup', (e) => {
+            // Space would also click whatever button has focus
+            if (this.setDefenderKey(e.key, false) && !this.aiActive && !isEditableTarget(e.target)) {
+                e.preventDefault();
+            }
+        });
+        // Keys held while the window loses focus never get their keyup
+        window.addEventListener('blur', () => {
+            this.keys = { left: false, right: false, fire: false };
+        });
+
         // Canvas click for grid editing and card selection
         this.canvas.addEventListener('click', (e) => {
-            const rect = this.canvas.getBoundingClientRect();
-            const x = e.clientX - rect.left;
-            const y = e.clientY - rect.top;
+            if (this.isLinkGuest()) return; // The grid belongs to the host
+            const { x: canvasX, y: canvasY } = this.getCanvasPoint(e);
             
-            const scaleX = this.canvas.width / rect.width;
-            const scaleY = this.canvas.height / rect.height;
-            const canvasX = (x * scaleX);
-            const canvasY = (y * scaleY);
+            // A long press already edited the cell under the pointer
+            if (this.suppressNextClick) {
+                this.suppressNextClick = false;
+                return;
+            }
             
             // Tutorial: check if skip button was clicked
             if (this.tutorialStep >= 0) {
@@ -641,10 +1831,24 @@ class Game {
             
             // Tap to restart on game over
             if (this.wavePhase === 'gameover') {
-                this.restartGame();
+                if (this.versus) {
+                    this.startVersus();
+                } else {
+                    this.restartGame();
+                }
                 return;
             }
             
+            // Hot-seat: the composer's READY button
+            if (this.versus && this.wavePhase === 'prepare') {
+                const button = this.getVersusReadyButton();
+                if (canvasX >= button.x && canvasX <= button.x + button.width &&
+                    canvasY >= button.y && canvasY <= button.y + button.height) {
+                    this.versusReady();
+                    return;
+                }
+            }
+            
             // Handle card selection during cardpick phase
             if (this.wavePhase === 'cardpick') {
                 const cardIndex = this.getClickedCardIndex(canvasX, canvasY);
@@ -654,172 +1858,2104 @@ class Game {
                 return;
             }
             
-            const col = Math.floor(canvasX / this.cellWidth);
-            const clickedRow = Math.floor((canvasY - this.gridYOffset) / this.cellHeight);
+            const cell = this.getGridCellAt(canvasX, canvasY);
+            if (cell) {
+                if (this.selectMode || e.altKey) {
+                    // Selection is handled by the pointer events
+                    return;
+                } else if (e.shiftKey) {
+                    // Modifier-click edits the cell instead of toggling
+                    this.editCell(cell.row, cell.col);
+                } else {
+                    this.toggleGridCell(cell.row, cell.col);
+                }
+            }
+        });
+        
+        // Long press (touch or mouse) on a grid cell edits it like Shift+click.
+        // Dragging paints or erases instead, or draws a selection box in select mode.
+        this.canvas.addEventListener('pointerdown', (e) => {
+            if (this.isLinkGuest()) return; // The grid belongs to the host
+            clearTimeout(this.longPressTimer);
+            // Some touch browsers never send the click that follows a long press
+            this.suppressNextClick = false;
+            this.gridPointer = null;
+            if (this.tutorialStep >= 0 || this.wavePhase === 'cardpick' || this.wavePhase === 'gameover') return;
             
-            if (canvasY >= this.gridYOffset && 
-                canvasY <= this.gridYOffset + this.gridRows * this.cellHeight && 
-                col >= 0 && col < this.gridCols &&
-                clickedRow >= 0 && clickedRow < this.gridRows) {
-                
-                this.toggleGridCell(clickedRow, col);
+            const { x, y } = this.getCanvasPoint(e);
+            const cell = this.getGridCellAt(x, y);
+            if (!cell) return;
+            
+            const select = this.selectMode || e.altKey;
+            this.gridPointer = { id: e.pointerId, row: cell.row, col: cell.col, select, stroke: null };
+            if (this.canvas.setPointerCapture) {
+                this.canvas.setPointerCapture(e.pointerId);
+            }
+            if (select) {
+                this.gridSelection = { row0: cell.row, col0: cell.col, row1: cell.row, col1: cell.col };
+                return;
+            }
+            
+            this.longPressTimer = setTimeout(() => {
+                this.gridPointer = null;
+                this.editCell(cell.row, cell.col);
+                this.suppressNextClick = true;
+            }, 450);
+        });
+        this.canvas.addEventListener('pointermove', (e) => {
+            const pointer = this.gridPointer;
+            if (!pointer || pointer.id !== e.pointerId) return;
+            const { x, y } = this.getCanvasPoint(e);
+            const cell = this.getGridCellAt(x, y);
+            if (!cell || (cell.row === pointer.row && cell.col === pointer.col)) return;
+            
+            if (pointer.select) {
+                this.gridSelection.row1 = cell.row;
+                this.gridSelection.col1 = cell.col;
+                pointer.row = cell.row;
+                pointer.col = cell.col;
+                return;
+            }
+            if (!pointer.stroke) {
+                // Leaving the first cell turns the press into a stroke
+                clearTimeout(this.longPressTimer);
+                pointer.stroke = {
+                    paint: !this.grid[pointer.row][pointer.col],
+                    before: this.captureGridState(),
+                    visited: new Set()
+                };
+                this.strokeGridCell(pointer.stroke, pointer.row, pointer.col);
+            }
+            this.extendGridStroke(pointer, cell.row, cell.col);
+        });
+        ['pointerup', 'pointerleave', 'pointercancel'].forEach(type => {
+            this.canvas.addEventListener(type, (e) => {
+                clearTimeout(this.longPressTimer);
+                const pointer = this.gridPointer;
+                if (!pointer || pointer.id !== e.pointerId) return;
+                this.gridPointer = null;
+                if (pointer.stroke) {
+                    // The whole stroke is one undo step
+                    if (this.gridChangedSince(pointer.stroke.before)) {
+                        this.pushHistory(pointer.stroke.before);
+                    }
+                    this.suppressNextClick = true;
+                }
+            });
+        });
+        // Keep a drag on the grid from scrolling the page on touch screens
+        this.canvas.addEventListener('touchmove', (e) => {
+            if (this.gridPointer) e.preventDefault();
+        }, { passive: false });
+        // Keep the long press from opening the context menu on mobile
+        this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+        
+        // Add mousemove for card hover effect
+        this.canvas.addEventListener('mousemove', (e) => {
+            if (this.wavePhase !== 'cardpick') {
+                this.hoveredCardIndex = -1;
+                return;
+            }
+            
+            const { x: canvasX, y: canvasY } = this.getCanvasPoint(e);
+            this.hoveredCardIndex = this.getClickedCardIndex(canvasX, canvasY);
+        });
+
+        // Preset pattern buttons
+        this.setupPresetButtons();
+        
+        // Sound kit selector
+        this.setupKitButtons();
+        
+        // Per-row mixer
+        this.setupMixer();
+        
+        // Euclidean rhythm generator
+        this.setupEuclid();
+        this.setupTransforms();
+        
+        // Pattern bank and song lane
+        this.setupPatternBank();
+        
+        // Saved pattern library
+        this.setupLibrary();
+        
+        // Cross-tab multiplayer
+        this.setupLink();
+    }
+
+    setBpm(bpm) {
+        if (isNaN(bpm)) return;
+        this.bpm = Math.max(60, Math.min(200, bpm));
+        this.bpmControl.value = this.bpm;
+        this.bpmValue.textContent = this.bpm;
+        this.stepInterval = (60 / this.bpm) * 1000 / this.stepsPerBeat;
+        const speedScale = 1 + ((this.bpm - 60) / (200 - 60)) * 1.5;
+        this.defender.speed = Math.round(5 * speedScale);
+    }
+
+    setSwing(amount) {
+        if (isNaN(amount)) return;
+        this.swing = Math.max(0, Math.min(100, amount));
+        if (this.swingControl) {
+            this.swingControl.value = this.swing;
+            this.swingValue.textContent = `${this.swing}%`;
+        }
+    }
+
+    // Swing pushes every odd step late, up to half a step at 100%.
+    // Triplet grids are already swung, so it only applies to 16th grids.
+    getSwingOffset(step, stepsPerBeat = this.stepsPerBeat) {
+        if (stepsPerBeat !== 4) return 0;
+        return step % 2 === 1 ? (this.swing / 100) * (60 / this.bpm / stepsPerBeat) / 2 : 0;
+    }
+
+    // Steps that don't land on the main pulse: odd 16ths/16th-triplets, or
+    // the 2nd and 3rd 8th-note triplet of each beat
+    isOffBeatStep(step) {
+        return this.stepsPerBeat % 2 === 0 ? step % 2 === 1 : step % this.stepsPerBeat !== 0;
+    }
+
+    setPatternLength(length) {
+        if (!PATTERN_LENGTHS[length] || length === this.gridCols) return;
+        this.pushHistory();
+        this.resizeGrid(length);
+        this.showToast(`${length} steps (${PATTERN_LENGTHS[length].name})`);
+    }
+
+    // Changes the number of steps, keeping what fits and refunding what doesn't.
+    // A song changing patterns leaves the sequencer alone: it's already queued the new one.
+    resizeGrid(length, clampSequencer = true) {
+        const config = PATTERN_LENGTHS[length];
+        
+        this.grid = this.grid.map((cells, row) => {
+            cells.slice(length).forEach((cell, i) => {
+                if (cell) {
+                    this.alienBudget = Math.min(this.alienBudgetMax, this.alienBudget + this.getCellCost(row, cell));
+                    this.evolvedCells.delete(`${row},${length + i}`);
+                }
+            });
+            const resized = cells.slice(0, length);
+            while (resized.length < length) {
+                resized.push(false);
+            }
+            return resized;
+        });
+        this.aliens = this.aliens.filter(alien => alien.col < length);
+        
+        // Full-length rows follow the new length, shorter ones keep theirs if they fit
+        this.rowLengths = this.rowLengths.map(rowLength =>
+            rowLength >= this.gridCols || rowLength > length ? length : rowLength);
+        if (clampSequencer) {
+            this.nextRowSteps = this.nextRowSteps.map((step, row) => step < this.rowLengths[row] ? step : 0);
+        }
+        
+        this.gridCols = length;
+        this.stepsPerBeat = config.stepsPerBeat;
+        this.cellWidth = this.canvas.width / this.gridCols;
+        this.stepInterval = (60 / this.bpm) * 1000 / this.stepsPerBeat;
+        this.beatFlash = Array(this.gridRows).fill().map(() => Array(this.gridCols).fill(0));
+        this.aiColumnHeatmap = Array(this.gridCols).fill(0);
+        this.positionAliens();
+        
+        // Keep the sequencer running, wrapping to the top if it was past the new end
+        if (clampSequencer) {
+            this.stepQueue = this.stepQueue.filter(entry => entry.step < length);
+            if (this.nextStepIndex >= length) {
+                this.nextStepIndex = 0;
+            }
+        }
+        if (this.currentStep >= length) {
+            this.currentStep = 0;
+        }
+        this.rowSteps = this.rowSteps.map((step, row) => step < this.rowLengths[row] ? step : 0);
+        
+        if (this.lengthControl) {
+            this.lengthControl.value = length;
+        }
+        this.renderMixer();
+        this.updateEuclidControls();
+    }
+
+    // Re-centers aliens in their cells after the cell width changes
+    positionAliens() {
+        for (const alien of this.aliens) {
+            alien.x = alien.col * this.cellWidth + this.cellWidth / 2;
+        }
+    }
+
+    getRowLength(row) {
+        return Math.min(this.rowLengths[row] || this.gridCols, this.gridCols);
+    }
+
+    isPolymeter() {
+        for (let row = 0; row < this.gridRows; row++) {
+            if (this.getRowLength(row) !== this.gridCols) return true;
+        }
+        return false;
+    }
+
+    setRowLength(row, length) {
+        if (isNaN(length) || length < 1 || length > this.gridCols || length === this.getRowLength(row)) return;
+        this.pushHistory();
+        this.applyRowLength(row, length);
+        this.renderMixer();
+    }
+
+    // Shortens or lengthens one row's loop, refunding the steps cut off the end
+    applyRowLength(row, length) {
+        this.grid[row].forEach((cell, col) => {
+            if (cell && col >= length) {
+                this.grid[row][col] = false;
+                this.alienBudget = Math.min(this.alienBudgetMax, this.alienBudget + this.getCellCost(row, cell));
+                this.evolvedCells.delete(`${row},${col}`);
+            }
+        });
+        this.aliens = this.aliens.filter(alien => alien.row !== row || alien.col < length);
+        this.rowLengths[row] = length;
+        if (this.nextRowSteps[row] >= length) {
+            this.nextRowSteps[row] = 0;
+        }
+    }
+
+    // Living aliens under the playheads `ago` steps back (0 = the step being played)
+    getAliensUnderPlayheads(ago = 0) {
+        const rowSteps = this.recentRowSteps[ago];
+        if (!rowSteps) return [];
+        return this.aliens.filter(a => a && a.alive && a.col === rowSteps[a.row]);
+    }
+
+    // Converts a mouse/pointer event to canvas coordinates (the canvas is CSS-scaled)
+    getCanvasPoint(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const scaleX = this.canvas.width / rect.width;
+        const scaleY = this.canvas.height / rect.height;
+        return {
+            x: (e.clientX - rect.left) * scaleX,
+            y: (e.clientY - rect.top) * scaleY
+        };
+    }
+
+    getGridCellAt(x, y) {
+        const col = Math.floor(x / this.cellWidth);
+        const row = Math.floor((y - this.gridYOffset) / this.cellHeight);
+        
+        if (y >= this.gridYOffset && 
+            y <= this.gridYOffset + this.gridRows * this.cellHeight && 
+            col >= 0 && col < this.gridCols &&
+            row >= 0 && row < this.gridRows &&
+            col < this.getRowLength(row)) {
+            return { row, col };
+        }
+        return null;
+    }
+
+    createCell(velocity = VELOCITY.NORMAL) {
+        return { velocity, chance: 100, condition: 'always', ratchet: 1 };
+    }
+
+    // Budget price of a cell: the row's cost for every hit of its ratchet
+    getCellCost(row, cell) {
+        return (this.alienCosts[row] || 1) * (cell.ratchet || 1);
+    }
+
+    // Cells with a chance below 100% or a condition don't play every time
+    isConditionalCell(cell) {
+        return cell.chance < 100 || cell.condition !== 'always';
+    }
+
+    // Just a velocity: plays every loop, once per step
+    isPlainCell(cell) {
+        return !this.isConditionalCell(cell) && (cell.ratchet || 1) === 1;
+    }
+
+    getCellVelocity(row, col) {
+        const cell = this.grid[row] && this.grid[row][col];
+        return cell ? cell.velocity : 0;
+    }
+
+    cycleCellVelocity(row, col) {
+        const cell = this.grid[row][col];
+        if (!cell) {
+            // Placing with a modifier goes straight to an accent
+            this.toggleGridCell(row, col, VELOCITY.ACCENT);
+        } else {
+            this.pushHistory();
+            // normal -> accent -> ghost -> normal
+            cell.velocity = cell.velocity === VELOCITY.ACCENT ? VELOCITY.GHOST : cell.velocity + 1;
+        }
+        
+        const velocity = this.getCellVelocity(row, col);
+        if (velocity) {
+            this.createPopup(
+                col * this.cellWidth + this.cellWidth / 2,
+                row * this.cellHeight + this.gridYOffset,
+                VELOCITY_NAMES[velocity],
+                this.instrumentColors[row].primary
+            );
+        }
+    }
+
+    // Shift+click and long press change whatever the edit mode selects
+    editCell(row, col) {
+        if (this.editMode === 'chance') {
+            this.cycleCellChance(row, col);
+        } else if (this.editMode === 'condition') {
+            this.cycleCellCondition(row, col);
+        } else if (this.editMode === 'ratchet') {
+            this.cycleCellRatchet(row, col);
+        } else {
+            this.cycleCellVelocity(row, col);
+        }
+    }
+
+    // 100% -> 75% -> 50% -> 25% -> 100%. An empty cell is placed first.
+    cycleCellChance(row, col) {
+        if (this.grid[row][col]) {
+            this.pushHistory();
+        } else {
+            this.toggleGridCell(row, col);
+        }
+        const cell = this.grid[row][col];
+        if (!cell) return; // Over budget
+        cell.chance = CELL_CHANCES[(CELL_CHANCES.indexOf(cell.chance) + 1) % CELL_CHANCES.length];
+        this.createPopup(
+            col * this.cellWidth + this.cellWidth / 2,
+            row * this.cellHeight + this.gridYOffset,
+            `${cell.chance}%`,
+            this.instrumentColors[row].primary
+        );
+    }
+
+    // always -> every 2nd loop -> every 4th -> first loop -> last loop -> always
+    cycleCellCondition(row, col) {
+        if (this.grid[row][col]) {
+            this.pushHistory();
+        } else {
+            this.toggleGridCell(row, col);
+        }
+        const cell = this.grid[row][col];
+        if (!cell) return; // Over budget
+        const index = CELL_CONDITIONS.findIndex(condition => condition.id === cell.condition);
+        const next = CELL_CONDITIONS[(index + 1) % CELL_CONDITIONS.length];
+        cell.condition = next.id;
+        this.createPopup(
+            col * this.cellWidth + this.cellWidth / 2,
+            row * this.cellHeight + this.gridYOffset,
+            next.name,
+            this.instrumentColors[row].primary
+        );
+    }
+
+    // x1 -> x2 -> x3 -> x4 -> x1, paying for (or refunding) the extra hits.
+    // An empty cell is placed first.
+    cycleCellRatchet(row, col) {
+        const placed = !this.grid[row][col];
+        if (placed) {
+            this.toggleGridCell(row, col);
+        }
+        const cell = this.grid[row][col];
+        if (!cell) return; // Over budget
+        
+        const ratchet = cell.ratchet >= MAX_RATCHET ? 1 : cell.ratchet + 1;
+        const extraCost = (this.alienCosts[row] || 1) * (ratchet - cell.ratchet);
+        if (extraCost > this.alienBudget) {
+            this.budgetShakeTimer = 20;
+            return;
+        }
+        if (!placed) {
+            this.pushHistory();
+        }
+        this.alienBudget = Math.min(this.alienBudgetMax, this.alienBudget - extraCost);
+        cell.ratchet = ratchet;
+        this.createPopup(
+            col * this.cellWidth + this.cellWidth / 2,
+            row * this.cellHeight + this.gridYOffset,
+            `x${ratchet}`,
+            this.instrumentColors[row].primary
+        );
+    }
+
+    conditionMet(condition, loop) {
+        switch (condition) {
+            case 'every2':
+                return loop % 2 === 0;
+            case 'every4':
+                return loop % 4 === 0;
+            case 'first':
+                return loop === 1;
+            case 'last':
+                return loop === this.loopsPerWave;
+            default:
+                return true;
+        }
+    }
+
+    // Whether a cell plays on a wave loop (1-based). Only cells below 100%
+    // draw from the RNG, so the rolls replay exactly from the same seed.
+    cellTriggers(cell, loop, rng = this.trigRng) {
+        if (!this.conditionMet(cell.condition, loop)) return false;
+        return cell.chance >= 100 || rng() * 100 < cell.chance;
+    }
+
+    setTrigSeed(seed) {
+        this.trigSeed = seed >>> 0;
+        this.trigRng = createRng(this.trigSeed);
+    }
+
+    toggleGridCell(row, col, velocity = VELOCITY.NORMAL) {
+        if (this.grid[row][col]) {
+            this.pushHistory();
+            this.removeGridCell(row, col);
+        } else {
+            const cell = this.createCell(velocity);
+            if (this.alienBudget < this.getCellCost(row, cell)) {
+                // Can't afford! Flash budget red
+                this.budgetShakeTimer = 20; // 20 frames shake
+                return;
+            }
+            this.pushHistory();
+            this.placeGridCell(row, col, cell);
+        }
+    }
+
+    // Adds a cell and its alien, paying for it. Returns false (and shakes the
+    // budget) if it can't be afforded. No history: callers push it.
+    placeGridCell(row, col, cell) {
+        // Check budget before adding
+        const cost = this.getCellCost(row, cell);
+        if (this.alienBudget < cost) {
+            this.budgetShakeTimer = 20;
+            return false;
+        }
+        
+        // Add to grid
+        this.grid[row][col] = { ...cell };
+        
+        // Boss and Alien Armor HP, plus +2 damage if the cell is evolved
+        this.aliens.push(this.createAlien(row, col));
+        
+        // Deduct budget
+        this.alienBudget -= cost;
+        return true;
+    }
+
+    // Removes a cell and its alien - REFUND BUDGET (ratchets paid for every repeat)
+    removeGridCell(row, col) {
+        const cell = this.grid[row][col];
+        if (!cell) return;
+        
+        this.grid[row][col] = false;
+        this.aliens = this.aliens.filter(alien => 
+            !(alien.row === row && alien.col === col));
+        
+        this.alienBudget = Math.min(this.alienBudgetMax, this.alienBudget + this.getCellCost(row, cell));
+        
+        // Remove from evolved set if present
+        this.evolvedCells.delete(`${row},${col}`);
+    }
+
+    // Paint/erase stroke: one cell, once per stroke. The stroke paints if it
+    // started on an empty cell and erases if it started on a beat.
+    strokeGridCell(stroke, row, col) {
+        const key = `${row},${col}`;
+        if (stroke.visited.has(key)) return;
+        stroke.visited.add(key);
+        if (stroke.paint && !this.grid[row][col]) {
+            this.placeGridCell(row, col, this.createCell());
+        } else if (!stroke.paint && this.grid[row][col]) {
+            this.removeGridCell(row, col);
+        }
+    }
+
+    // Drags between two cells, filling in the ones a fast pointer skipped over
+    extendGridStroke(pointer, row, col) {
+        const steps = Math.max(Math.abs(row - pointer.row), Math.abs(col - pointer.col));
+        for (let i = 1; i <= steps; i++) {
+            const strokeRow = Math.round(pointer.row + (row - pointer.row) * i / steps);
+            const strokeCol = Math.round(pointer.col + (col - pointer.col) * i / steps);
+            // Cells in between can fall past a shorter row's loop end
+            if (strokeCol < this.getRowLength(strokeRow)) {
+                this.strokeGridCell(pointer.stroke, strokeRow, strokeCol);
+            }
+        }
+        pointer.row = row;
+        pointer.col = col;
+    }
+
+    // True if the grid differs from a captureGridState() snapshot
+    gridChangedSince(state) {
+        return this.grid.some((cells, row) => cells.some((cell, col) =>
+            JSON.stringify(cell) !== JSON.stringify(state.grid[row] ? state.grid[row][col] : false)));
+    }
+
+    // Selection corners sorted and clipped to the grid, or null
+    getSelectionBounds() {
+        const selection = this.gridSelection;
+        if (!selection) return null;
+        const row0 = Math.min(selection.row0, selection.row1);
+        const col0 = Math.min(selection.col0, selection.col1);
+        const row1 = Math.min(Math.max(selection.row0, selection.row1), this.gridRows - 1);
+        const col1 = Math.min(Math.max(selection.col0, selection.col1), this.gridCols - 1);
+        if (row0 > row1 || col0 > col1) return null;
+        return { row0, col0, row1, col1 };
+    }
+
+    setSelectMode(enabled) {
+        this.selectMode = enabled;
+        if (!enabled) {
+            this.gridSelection = null;
+        }
+        const btn = document.getElementById('select-mode');
+        if (btn) btn.classList.toggle('active', enabled);
+    }
+
+    copySelection(cut = false) {
+        const bounds = this.getSelectionBounds();
+        if (!bounds) {
+            this.showToast('Select some cells first');
+            return;
+        }
+        const { row0, col0, row1, col1 } = bounds;
+        this.gridClipboard = [];
+        for (let row = row0; row <= row1; row++) {
+            this.gridClipboard.push(this.grid[row].slice(col0, col1 + 1).map(cell => cell && { ...cell }));
+        }
+        const size = `${col1 - col0 + 1}x${row1 - row0 + 1}`;
+        
+        if (cut) {
+            const before = this.captureGridState();
+            for (let row = row0; row <= row1; row++) {
+                for (let col = col0; col <= col1; col++) {
+                    this.removeGridCell(row, col);
+                }
+            }
+            if (this.gridChangedSince(before)) {
+                this.pushHistory(before);
+            }
+            this.showToast(`Cut ${size}`);
+        } else {
+            this.showToast(`Copied ${size}`);
+        }
+    }
+
+    // Pastes over the cells from the selection's top-left corner (clipped to the
+    // grid and to each row's loop length). What's there is refunded first, then
+    // the copied beats are paid for in order until the budget runs out.
+    pasteSelection() {
+        const bounds = this.getSelectionBounds();
+        if (!this.gridClipboard) {
+            this.showToast('Nothing copied yet');
+            return;
+        }
+        if (!bounds) {
+            this.showToast('Select where to paste');
+            return;
+        }
+        const { row0, col0 } = bounds;
+        const row1 = Math.min(this.gridRows - 1, row0 + this.gridClipboard.length - 1);
+        const col1 = Math.min(this.gridCols - 1, col0 + this.gridClipboard[0].length - 1);
+        const before = this.captureGridState();
+        
+        // Polymeter rows stop at their loop length: beats past it would never play
+        const rowEnd = row => Math.min(col1, this.getRowLength(row) - 1);
+        for (let row = row0; row <= row1; row++) {
+            for (let col = col0; col <= rowEnd(row); col++) {
+                this.removeGridCell(row, col);
+            }
+        }
+        let dropped = 0;
+        for (let row = row0; row <= row1; row++) {
+            for (let col = col0; col <= col1; col++) {
+                const cell = this.gridClipboard[row - row0][col - col0];
+                if (cell && (col > rowEnd(row) || !this.placeGridCell(row, col, cell))) {
+                    dropped++;
+                }
+            }
+        }
+        
+        this.gridSelection = { row0, col0, row1, col1 };
+        if (this.gridChangedSince(before)) {
+            this.pushHistory(before);
+        }
+        this.showToast(dropped > 0 ? `Pasted (${dropped} beat${dropped === 1 ? '' : 's'} left out)` : 'Pasted');
+    }
+
+    setupPresetButtons() {
+        // Pattern values are velocity levels: 0 = off, 1 = ghost, 2 = normal, 3 = accent.
+        // Tom and Cymbal rows only load once those rows are unlocked.
+        const presets = {
+            rock: {
+                swing: 0,
+                pattern: [
+                    [3, 0, 0, 0, 2, 0, 0, 0, 3, 0, 0, 0, 2, 0, 0, 0],
+                    [0, 0, 3, 0, 0, 0, 3, 0, 0, 0, 3, 0, 0, 0, 3, 0],
+                    [3, 0, 2, 0, 3, 0, 2, 0, 3, 0, 2, 0, 3, 0, 2, 0],
+                    [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 2, 2, 3],
+                    [3, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
+                ]
+            },
+            funk: {
+                swing: 15,
+                pattern: [
+                    [3, 0, 0, 2, 0, 0, 2, 0, 3, 0, 0, 2, 0, 0, 2, 0],
+                    [0, 0, 1, 0, 3, 0, 0, 1, 0, 1, 0, 0, 3, 0, 0, 1],
+                    [2, 0, 1, 2, 0, 1, 2, 0, 2, 0, 1, 2, 0, 1, 2, 0],
+                    [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 2, 3],
+                    [0, 0, 0, 0, 0, 0, 0, 0, 3, 0, 0, 0, 0, 0, 0, 0]
+                ]
+            },
+            jazz: {
+                swing: 60,
+                pattern: [
+                    [2, 0, 0, 0, 0, 0, 0, 0, 2, 0, 0, 0, 0, 0, 0, 0],
+                    [0, 0, 0, 1, 0, 0, 0, 2, 0, 0, 0, 1, 0, 0, 0, 2],
+                    [2, 0, 0, 0, 3, 0, 0, 2, 2, 0, 0, 0, 3, 0, 0, 2],
+                    [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 2, 0],
+                    [2, 0, 0, 0, 0, 0, 0, 2, 0, 0, 0, 0, 0, 0, 0, 2]
+                ]
+            },
+            hiphop: {
+                swing: 30,
+                pattern: [
+                    [3, 0, 0, 0, 0, 0, 0, 0, 2, 0, 0, 0, 0, 0, 0, 0],
+                    [0, 0, 0, 0, 3, 0, 0, 0, 0, 0, 0, 0, 3, 0, 0, 0],
+                    [2, 0, 0, 1, 0, 0, 2, 0, 2, 0, 0, 1, 0, 0, 2, 0],
+                    [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+                    [3, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
+                ]
+            },
+            // 12 steps: a 12/8 blues shuffle in 8th-note triplets
+            shuffle: {
+                swing: 0,
+                pattern: [
+                    [3, 0, 0, 0, 0, 0, 2, 0, 0, 0, 0, 2],
+                    [0, 0, 0, 3, 0, 0, 0, 0, 0, 3, 0, 1],
+                    [2, 0, 1, 2, 0, 1, 2, 0, 1, 2, 0, 1],
+                    [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 2, 0],
+                    [3, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
+                ]
+            }
+        };
+        
+        Object.keys(presets).forEach(preset => {
+            const btn = document.getElementById(`preset-${preset}`);
+            if (btn) {
+                btn.addEventListener('click', () => {
+                    this.loadPreset(presets[preset].pattern);
+                    this.setSwing(presets[preset].swing);
+                });
+            }
+        });
+        
+        const clearBtn = document.getElementById('preset-clear');
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => {
+                this.pushHistory();
+                this.clearGrid();
+            });
+        }
+        
+        const undoBtn = document.getElementById('undo-button');
+        if (undoBtn) {
+            undoBtn.addEventListener('click', () => {
+                this.undo();
+            });
+        }
+        
+        const redoBtn = document.getElementById('redo-button');
+        if (redoBtn) {
+            redoBtn.addEventListener('click', () => {
+                this.redo();
+            });
+        }
+        this.updateHistoryButtons();
+        
+        // NEW: Share button
+        const shareBtn = document.getElementById('preset-share');
+        if (shareBtn) {
+            shareBtn.addEventListener('click', () => {
+                this.encodePatternToURL();
+            });
+        }
+        
+        const exportWavBtn = document.getElementById('export-wav');
+        if (exportWavBtn) {
+            exportWavBtn.addEventListener('click', () => {
+                this.exportWav();
+            });
+        }
+        
+        const exportMidiBtn = document.getElementById('export-midi');
+        if (exportMidiBtn) {
+            exportMidiBtn.addEventListener('click', () => {
+                this.exportMidi();
+            });
+        }
+        
+        // The import button opens a hidden file picker
+        const importMidiBtn = document.getElementById('import-midi');
+        const importMidiFile = document.getElementById('import-midi-file');
+        if (importMidiBtn && importMidiFile) {
+            importMidiBtn.addEventListener('click', () => {
+                importMidiFile.click();
+            });
+            importMidiFile.addEventListener('change', () => {
+                const file = importMidiFile.files[0];
+                if (file) {
+                    this.importMidi(file);
+                }
+                importMidiFile.value = ''; // Allow picking the same file again
+            });
+        }
+    }
+
+    setupLibrary() {
+        const nameInput = document.getElementById('library-name');
+        const tagsInput = document.getElementById('library-tags');
+        const saveBtn = document.getElementById('library-save');
+        const searchInput = document.getElementById('library-search');
+        if (saveBtn) {
+            saveBtn.addEventListener('click', () => {
+                this.saveToLibrary(nameInput ? nameInput.value : '', tagsInput ? tagsInput.value : '');
+            });
+        }
+        if (searchInput) {
+            searchInput.addEventListener('input', () => this.renderLibrary());
+        }
+        this.renderLibrary();
+    }
+
+    // "Break, fill,  Half-time" -> ['break', 'fill', 'half-time']
+    parseLibraryTags(text) {
+        return [...new Set(String(text).split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+    }
+
+    // Saves the current pattern with BPM, swing and kit. Saving under an
+    // existing name replaces that entry.
+    saveToLibrary(name, tags = '') {
+        name = String(name).trim() || `Pattern ${this.library.length + 1}`;
+        const existing = this.library.find(entry => entry.name.toLowerCase() === name.toLowerCase());
+        const entry = {
+            id: existing ? existing.id : this.createLibraryId(),
+            name,
+            tags: this.parseLibraryTags(tags),
+            bpm: this.bpm,
+            swing: this.swing,
+            kit: this.drumMachine.kitId,
+            saved: Date.now(),
+            pattern: this.serializePattern(this.getSlotPattern(this.currentSlot))
+        };
+        this.library = [entry, ...this.library.filter(other => other !== existing)];
+        if (this.saveLibrary()) {
+            this.showToast(existing ? `Updated "${name}"` : `Saved "${name}"`);
+        } else {
+            this.showToast('Library is full - delete some patterns');
+        }
+        this.renderLibrary();
+    }
+
+    // Loads through loadPreset(), so the budget still decides what fits
+    loadLibraryEntry(id) {
+        const entry = this.library.find(other => other.id === id);
+        const pattern = entry && this.parseStoredPattern(entry.pattern);
+        if (!pattern) return;
+        
+        this.loadPreset(pattern.grid, pattern.rowLengths);
+        this.setBpm(entry.bpm);
+        this.setSwing(entry.swing);
+        if (DRUM_KITS[entry.kit] && entry.kit !== this.drumMachine.kitId) {
+            this.selectKit(entry.kit);
+        }
+        
+        const placed = this.grid.flat().filter(Boolean).length;
+        const total = pattern.grid.slice(0, this.gridRows).flat().filter(Boolean).length;
+        if (placed < total) {
+            this.budgetShakeTimer = 20;
+            this.showToast(`Loaded "${entry.name}" (${total - placed} beat${total - placed === 1 ? '' : 's'} over budget)`);
+        } else {
+            this.showToast(`Loaded "${entry.name}"`);
+        }
+    }
+
+    createLibraryId() {
+        return `${Date.now().toString(36)}${Math.floor(Math.random() * 1296).toString(36)}`;
+    }
+
+    updateLibraryEntry(id, changes) {
+        const entry = this.library.find(other => other.id === id);
+        if (!entry) return;
+        Object.assign(entry, changes);
+        this.saveLibrary();
+        this.renderLibrary();
+    }
+
+    renameLibraryEntry(id, name) {
+        name = String(name).trim();
+        if (!name) return;
+        if (this.library.some(entry => entry.id !== id && entry.name.toLowerCase() === name.toLowerCase())) {
+            this.showToast(`"${name}" already exists`);
+            return;
+        }
+        this.updateLibraryEntry(id, { name });
+    }
+
+    duplicateLibraryEntry(id) {
+        const entry = this.library.find(other => other.id === id);
+        if (!entry) return;
+        // "Groove" -> "Groove 2", "Groove 3"...
+        const base = entry.name.replace(/ \d+$/, '');
+        let n = 2;
+        while (this.library.some(other => other.name.toLowerCase() === `${base} ${n}`.toLowerCase())) {
+            n++;
+        }
+        const copy = JSON.parse(JSON.stringify(entry));
+        copy.id = this.createLibraryId();
+        copy.name = `${base} ${n}`;
+        copy.saved = Date.now();
+        this.library.splice(this.library.indexOf(entry), 0, copy);
+        this.saveLibrary();
+        this.renderLibrary();
+        this.showToast(`Duplicated as "${copy.name}"`);
+    }
+
+    deleteLibraryEntry(id) {
+        const entry = this.library.find(other => other.id === id);
+        if (!entry) return;
+        this.library = this.library.filter(other => other !== entry);
+        this.saveLibrary();
+        this.renderLibrary();
+        this.showToast(`Deleted "${entry.name}"`);
+    }
+
+    // Every word of the search has to appear in the name or a tag
+    getLibraryMatches(query) {
+        const words = String(query).toLowerCase().split(/\s+/).filter(Boolean);
+        return this.library.filter(entry => {
+            const text = `${entry.name} ${entry.tags.join(' ')}`.toLowerCase();
+            return words.every(word => text.includes(word));
+        });
+    }
+
+    renderLibrary() {
+        const list = document.getElementById('library-list');
+        if (!list) return;
+        const searchInput = document.getElementById('library-search');
+        const matches = this.getLibraryMatches(searchInput ? searchInput.value : '');
+        
+        list.innerHTML = '';
+        if (matches.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'library-empty';
+            empty.textContent = this.library.length === 0 ? 'No saved patterns yet' : 'No matches';
+            list.appendChild(empty);
+            return;
+        }
+        
+        for (const entry of matches) {
+            const item = document.createElement('div');
+            item.className = 'library-entry';
+            
+            const info = document.createElement('div');
+            info.className = 'library-info';
+            const name = document.createElement('span');
+            name.className = 'library-entry-name';
+            name.textContent = entry.name;
+            name.title = 'Load';
+            name.addEventListener('click', () => this.loadLibraryEntry(entry.id));
+            const meta = document.createElement('span');
+            meta.className = 'library-meta';
+            meta.textContent = `${entry.bpm} BPM ${entry.pattern.length} steps` +
+                (entry.tags.length ? ` #${entry.tags.join(' #')}` : '');
+            info.appendChild(name);
+            info.appendChild(meta);
+            
+            // Rename and Tags edit in place: Enter or leaving the field keeps the change, Esc drops it
+            const editInPlace = (value, commit) => {
+                const input = document.createElement('input');
+                input.type = 'text';
+                input.className = 'library-edit';
+                input.value = value;
+                let done = false;
+                const finish = (keep) => {
+                    if (done) return;
+                    done = true;
+                    if (keep) {
+                        commit(input.value);
+                    }
+                    this.renderLibrary();
+                };
+                input.addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter') finish(true);
+                    if (e.key === 'Escape') finish(false);
+                });
+                input.addEventListener('blur', () => finish(true));
+                info.innerHTML = '';
+                info.appendChild(input);
+                input.focus();
+                input.select();
+            };
+            
+            const buttons = document.createElement('div');
+            buttons.className = 'library-buttons';
+            const addButton = (label, title, onClick) => {
+                const btn = document.createElement('button');
+                btn.className = 'library-button';
+                btn.textContent = label;
+                btn.title = title;
+                btn.addEventListener('click', onClick);
+                buttons.appendChild(btn);
+                return btn;
+            };
+            addButton('Load', 'Load into the current pattern', () => this.loadLibraryEntry(entry.id));
+            addButton('Ren', 'Rename', () => editInPlace(entry.name, value => this.renameLibraryEntry(entry.id, value)));
+            addButton('Tag', 'Edit tags (comma separated)', () =>
+                editInPlace(entry.tags.join(', '), value => this.updateLibraryEntry(entry.id, { tags: this.parseLibraryTags(value) })));
+            addButton('Dup', 'Duplicate', () => this.duplicateLibraryEntry(entry.id));
+            // Deleting takes a second click
+            const deleteBtn = addButton(this.libraryDeleteId === entry.id ? 'Sure?' : 'Del', 'Delete', () => {
+                if (this.libraryDeleteId === entry.id) {
+                    this.libraryDeleteId = null;
+                    this.deleteLibraryEntry(entry.id);
+                } else {
+                    this.libraryDeleteId = entry.id;
+                    this.renderLibrary();
+                }
+            });
+            deleteBtn.classList.add('library-delete');
+            
+            item.appendChild(info);
+            item.appendChild(buttons);
+            list.appendChild(item);
+        }
+    }
+
+    // Every step of the song (or of the current pattern, with no song), `passes`
+    // times through. Rows run on like the sequencer: polymeter rows keep drifting
+    // while a pattern repeats, and every row restarts when the pattern changes.
+    // `loop` counts pattern loops like the wave does, for conditional trigs.
+    getSongSteps(passes) {
+        const order = this.isSongActive() ? this.song : [this.currentSlot];
+        const steps = [];
+        let rowSteps = [];
+        let lastSlot = null;
+        let loop = 0;
+        for (let pass = 0; pass < passes; pass++) {
+            for (const slot of order) {
+                loop = loop % this.loopsPerWave + 1;
+                const pattern = this.getSlotPattern(slot);
+                if (slot !== lastSlot) {
+                    rowSteps = Array(this.gridRows).fill(0);
+                }
+                lastSlot = slot;
+                const stepsPerBeat = PATTERN_LENGTHS[pattern.length].stepsPerBeat;
+                for (let step = 0; step < pattern.length; step++) {
+                    const cells = [];
+                    for (let row = 0; row < this.gridRows; row++) {
+                        const col = rowSteps[row];
+                        const cell = pattern.grid[row] && pattern.grid[row][col];
+                        if (cell) {
+                            cells.push({ row, cell });
+                        }
+                        rowSteps[row] = (col + 1) % this.getPatternRowLength(pattern, row);
+                    }
+                    steps.push({ step, length: pattern.length, stepsPerBeat, loop, cells });
+                }
+            }
+        }
+        return steps;
+    }
+
+    // Every hit over a number of loops of the song or pattern, on a timeline
+    // starting at 0, plus the time the last loop ends. Chance is rolled from
+    // the run's seed, so a render sounds like the start of a run.
+    getPatternHits(loops) {
+        const hits = [];
+        const rng = createRng(this.trigSeed);
+        let time = 0;
+        for (const { step, stepsPerBeat, loop, cells } of this.getSongSteps(loops)) {
+            const stepTime = 60 / this.bpm / stepsPerBeat;
+            const hitTime = time + this.getSwingOffset(step, stepsPerBeat);
+            for (const { row, cell } of cells) {
+                if (!this.cellTriggers(cell, loop, rng)) continue;
+                const ratchet = cell.ratchet || 1;
+                for (let i = 0; i < ratchet; i++) {
+                    hits.push({ row, time: hitTime + i * stepTime / ratchet, level: VELOCITY_GAIN[cell.velocity] });
+                }
+            }
+            time += stepTime;
+        }
+        return { hits, duration: time };
+    }
+
+    // Steps until every row lines up again (capped so exports stay small)
+    getPolymeterCycle(maxLoops = 16) {
+        const gcd = (a, b) => b === 0 ? a : gcd(b, a % b);
+        let cycle = this.gridCols;
+        for (let row = 0; row < this.gridRows; row++) {
+            const length = this.getRowLength(row);
+            cycle = cycle / gcd(cycle, length) * length;
+        }
+        return Math.min(cycle, this.gridCols * maxLoops);
+    }
+
+    async exportWav() {
+        const loopsInput = document.getElementById('export-loops');
+        const loops = Math.max(1, Math.min(16, parseInt(loopsInput && loopsInput.value) || 4));
+        
+        try {
+            this.showToast('Rendering WAV...');
+            // Export is a user gesture, so audio can be set up here if Start wasn't pressed yet
+            await this.drumMachine.init();
+            
+            const { hits, duration } = this.getPatternHits(loops);
+            const tail = 2; // Let the last cymbal ring out
+            const buffer = await this.drumMachine.renderOffline(hits, duration + tail);
+            
+            this.downloadBlob(this.drumMachine.encodeWav(buffer), `groove-galaxy-${this.bpm}bpm.wav`);
+            this.showToast('WAV exported!');
+        } catch (e) {
+            console.warn('Failed to export WAV:', e);
+            this.showToast('WAV export failed');
+        }
+    }
+
+    exportMidi() {
+        try {
+            const bytes = this.encodeMidi();
+            this.downloadBlob(new Blob([bytes], { type: 'audio/midi' }), `groove-galaxy-${this.bpm}bpm.mid`);
+            this.showToast('MIDI exported!');
+        } catch (e) {
+            console.warn('Failed to export MIDI:', e);
+            this.showToast('MIDI export failed');
+        }
+    }
+
+    // The grid as a type-0 Standard MIDI File - once through the song, if there
+    // is one. Steps are written straight and every note is written, whatever its
+    // chance or condition; swing is left to the receiving sequencer.
+    encodeMidi() {
+        // A lone polymeter pattern is written out until the rows line up again
+        const passes = this.isSongActive() ? 1 : this.getPolymeterCycle() / this.gridCols;
+        const events = [];
+        let tick = 0;
+        let length = null;
+        for (const step of this.getSongSteps(passes)) {
+            // Meter changes where a song moves between pattern lengths
+            if (step.length !== length) {
+                length = step.length;
+                events.push({ tick, data: this.encodeTimeSignature(length) });
+                events.push({ tick, data: this.encodeTempo(length) });
+            }
+            const ticksPerStep = this.getMidiStepTicks(length);
+            for (const { row, cell } of step.cells) {
+                const note = GM_DRUM_NOTES[this.drumMachine.soundOrder[row]];
+                // Ratchet repeats split the step (rounded onto the tick grid)
+                const ratchet = cell.ratchet || 1;
+                for (let i = 0; i < ratchet; i++) {
+                    const start = tick + Math.round(i * ticksPerStep / ratchet);
+                    const end = tick + Math.round((i + 0.5) * ticksPerStep / ratchet);
+                    events.push({ tick: start, data: [0x90 | MIDI_DRUM_CHANNEL, note, VELOCITY_MIDI[cell.velocity]] });
+                    events.push({ tick: end, data: [0x80 | MIDI_DRUM_CHANNEL, note, 64] });
+                }
+            }
+            tick += ticksPerStep;
+        }
+        // Meta events, then note-offs before note-ons on the same tick
+        const order = status => status === 0xFF ? 0 : status & 0xF0;
+        events.sort((a, b) => a.tick - b.tick || order(a.data[0]) - order(b.data[0]));
+        
+        const name = Array.from('GrooveGalaxy', c => c.charCodeAt(0));
+        const track = [
+            0x00, 0xFF, 0x03, name.length, ...name // Track name
+        ];
+        let lastTick = 0;
+        for (const event of events) {
+            track.push(...this.encodeVarLength(event.tick - lastTick), ...event.data);
+            lastTick = event.tick;
+        }
+        // End of track after the full loop, so the file loops cleanly
+        track.push(...this.encodeVarLength(tick - lastTick), 0xFF, 0x2F, 0x00);
+        
+        const header = [
+            0x4D, 0x54, 0x68, 0x64, 0, 0, 0, 6, // "MThd", length 6
+            0, 0, // Format 0
+            0, 1, // One track
+            (MIDI_TICKS_PER_BEAT >> 8) & 0xFF, MIDI_TICKS_PER_BEAT & 0xFF
+        ];
+        const trackHeader = [
+            0x4D, 0x54, 0x72, 0x6B, // "MTrk"
+            (track.length >>> 24) & 0xFF, (track.length >> 16) & 0xFF, (track.length >> 8) & 0xFF, track.length & 0xFF
+        ];
+        return new Uint8Array([...header, ...trackHeader, ...track]);
+    }
+
+    // Time signature meta event; compound meters click on the dotted quarter
+    encodeTimeSignature(length) {
+        const [numerator, denominator] = PATTERN_LENGTHS[length].timeSignature;
+        const clocksPerClick = denominator === 8 ? 36 : 24;
+        return [0xFF, 0x58, 0x04, numerator, Math.log2(denominator), clocksPerClick, 0x08];
+    }
+
+    isCompoundMeter(length) {
+        return PATTERN_LENGTHS[length].timeSignature[1] === 8;
+    }
+
+    // MIDI ticks per grid step: eighth notes in compound meters, beat divisions otherwise
+    getMidiStepTicks(length, division = MIDI_TICKS_PER_BEAT) {
+        return this.isCompoundMeter(length) ? division / 2 : division / PATTERN_LENGTHS[length].stepsPerBeat;
+    }
+
+    // Tempo meta event, in microseconds per quarter note
+    encodeTempo(length) {
+        const quarterBpm = this.isCompoundMeter(length) ? this.bpm * MIDI_COMPOUND_TEMPO_SCALE : this.bpm;
+        const microsPerQuarter = Math.round(60000000 / quarterBpm);
+        return [0xFF, 0x51, 0x03, (microsPerQuarter >> 16) & 0xFF, (microsPerQuarter >> 8) & 0xFF, microsPerQuarter & 0xFF];
+    }
+
+    encodeVarLength(value) {
+        const bytes = [value & 0x7F];
+        while ((value >>= 7) > 0) {
+            bytes.unshift((value & 0x7F) | 0x80);
+        }
+        return bytes;
+    }
+
+    async importMidi(file) {
+        try {
+            const midi = this.parseMidi(new Uint8Array(await file.arrayBuffer()));
+            const pattern = this.quantizeMidi(midi);
+            if (!pattern) {
+                this.showToast('No drum notes found');
+                return;
+            }
+            
+            const requested = pattern.reduce((sum, row) => sum + row.filter(v => v > 0).length, 0);
+            // Same path as the presets, so the alien budget still applies
+            this.loadPreset(pattern);
+            if (midi.bpm) {
+                // A 12/8 grid counts dotted quarters, like the export writes them
+                const scale = this.isCompoundMeter(this.gridCols) ? MIDI_COMPOUND_TEMPO_SCALE : 1;
+                this.setBpm(Math.round(midi.bpm / scale));
+            }
+            
+            const placed = this.aliens.length;
+            this.showToast(placed < requested ? `Imported ${placed}/${requested} hits (budget full)` : 'MIDI imported!');
+        } catch (e) {
+            console.warn('Failed to import MIDI:', e);
+            this.showToast('MIDI import failed');
+        }
+    }
+
+    // Reads note-ons (with their channel) and the first tempo from a type 0 or 1 file
+    parseMidi(bytes) {
+        let pos = 0;
+        const readUint = (length) => {
+            let value = 0;
+            for (let i = 0; i < length; i++) {
+                value = value * 256 + bytes[pos++];
+            }
+            return value;
+        };
+        const readVarLength = () => {
+            let value = 0;
+            let byte;
+            do {
+                byte = bytes[pos++];
+                value = value * 128 + (byte & 0x7F);
+            } while (byte & 0x80);
+            return value;
+        };
+        const readChunkType = () => String.fromCharCode(...bytes.subarray(pos, pos += 4));
+        
+        if (readChunkType() !== 'MThd') {
+            throw new Error('Not a MIDI file');
+        }
+        const headerLength = readUint(4);
+        const headerEnd = pos + headerLength;
+        readUint(2); // Format - tracks are merged either way
+        const trackCount = readUint(2);
+        const division = readUint(2);
+        if (division & 0x8000) {
+            throw new Error('SMPTE time division is not supported');
+        }
+        pos = headerEnd;
+        
+        const notes = [];
+        let bpm = null;
+        for (let t = 0; t < trackCount && pos < bytes.length; t++) {
+            const chunkType = readChunkType();
+            const chunkEnd = pos + 4 + readUint(4);
+            if (chunkType !== 'MTrk') {
+                pos = chunkEnd;
+                continue;
+            }
+            
+            let tick = 0;
+            let status = 0;
+            while (pos < chunkEnd) {
+                tick += readVarLength();
+                if (bytes[pos] & 0x80) {
+                    status = bytes[pos++];
+                } else if (!status) {
+                    throw new Error('MIDI data byte without a status');
+                } // Otherwise running status
+                
+                if (status === 0xFF) {
+                    const type = bytes[pos++];
+                    const length = readVarLength();
+                    if (type === 0x51 && bpm === null) {
+                        bpm = 60000000 / readUint(3);
+                        pos -= 3;
+                    }
+                    pos += length;
+                    status = 0; // Meta and sysex events cancel running status
+                } else if (status === 0xF0 || status === 0xF7) {
+                    pos += readVarLength();
+                    status = 0;
+                } else {
+                    const type = status & 0xF0;
+                    const data1 = bytes[pos++];
+                    // Program change and channel pressure have one data byte
+                    const data2 = (type === 0xC0 || type === 0xD0) ? 0 : bytes[pos++];
+                    if (type === 0x90 && data2 > 0) {
+                        notes.push({ tick, channel: status & 0x0F, note: data1, velocity: data2 });
+                    }
+                }
+            }
+            pos = chunkEnd;
+        }
+        
+        return { division, bpm, notes };
+    }
+
+    // Folds the first bar of drum notes onto the grid (at its current length) as a preset-style pattern
+    quantizeMidi(midi) {
+        // Prefer channel 10, but accept drum files written on any channel
+        let notes = midi.notes.filter(n => n.channel === MIDI_DRUM_CHANNEL);
+        if (notes.length === 0) {
+            notes = midi.notes;
+        }
+        
+        const ticksPerStep = this.getMidiStepTicks(this.gridCols, midi.division);
+        const hits = [];
+        notes.forEach(n => {
+            const soundIndex = GM_DRUM_FAMILIES.findIndex(family => family.includes(n.note));
+            const row = this.drumMachine.soundOrder.indexOf(soundIndex);
+            // Tom and Cymbal notes are dropped until those rows are unlocked
+            if (soundIndex === -1 || row === -1 || row >= this.gridRows) return;
+            hits.push({ row, step: Math.round(n.tick / ticksPerStep), velocity: n.velocity });
+        });
+        if (hits.length === 0) return null;
+        
+        // Start from the bar holding the first hit, so pickups and lead-ins don't shift the groove
+        const firstBar = Math.floor(Math.min(...hits.map(h => h.step)) / this.gridCols) * this.gridCols;
+        const pattern = Array(this.gridRows).fill().map(() => Array(this.gridCols).fill(0));
+        hits.forEach(hit => {
+            const col = hit.step - firstBar;
+            if (col >= this.gridCols) return;
+            const velocity = hit.velocity < 70 ? VELOCITY.GHOST : hit.velocity < 115 ? VELOCITY.NORMAL : VELOCITY.ACCENT;
+            pattern[hit.row][col] = Math.max(pattern[hit.row][col], velocity);
+        });
+        return pattern;
+    }
+
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Give the download a moment to start before releasing the blob
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    setupKitButtons() {
+        Object.keys(DRUM_KITS).forEach(kitId => {
+            const btn = document.getElementById(`kit-${kitId}`);
+            if (btn) {
+                btn.addEventListener('click', () => {
+                    this.selectKit(kitId);
+                });
             }
         });
-        
-        // Add mousemove for card hover effect
-        this.canvas.addEventListener('mousemove', (e) => {
-            if (this.wavePhase !== 'cardpick') {
-                this.hoveredCardIndex = -1;
-                return;
+        this.updateKitButtons();
+    }
+
+    selectKit(kitId) {
+        if (!DRUM_KITS[kitId]) return;
+        
+        // Swaps samples on the fly - the sequencer keeps running
+        this.drumMachine.loadKit(kitId);
+        this.saveKitPreference(kitId);
+        this.updateKitButtons();
+        this.showToast(`${DRUM_KITS[kitId].name} kit loaded`);
+    }
+
+    updateKitButtons() {
+        Object.keys(DRUM_KITS).forEach(kitId => {
+            const btn = document.getElementById(`kit-${kitId}`);
+            if (btn) {
+                btn.classList.toggle('active', kitId === this.drumMachine.kitId);
             }
-            
-            const rect = this.canvas.getBoundingClientRect();
-            const x = e.clientX - rect.left;
-            const y = e.clientY - rect.top;
-            
-            const scaleX = this.canvas.width / rect.width;
-            const scaleY = this.canvas.height / rect.height;
-            const canvasX = (x * scaleX);
-            const canvasY = (y * scaleY);
-            
-            this.hoveredCardIndex = this.getClickedCardIndex(canvasX, canvasY);
         });
+    }
 
-        // Preset pattern buttons
-        this.setupPresetButtons();
+    setupMixer() {
+        if (this.masterVolumeControl) {
+            this.masterVolumeControl.addEventListener('input', () => {
+                const volume = parseInt(this.masterVolumeControl.value);
+                this.masterVolumeValue.textContent = volume;
+                this.drumMachine.setMasterVolume(volume / 100);
+            });
+        }
+        this.renderMixer();
     }
 
-    toggleGridCell(row, col) {
-        if (this.grid[row][col]) {
-            // Remove from grid - REFUND BUDGET
-            this.grid[row][col] = false;
-            this.aliens = this.aliens.filter(alien => 
-                !(alien.row === row && alien.col === col));
+    // Rebuilds the channel strips - one per grid row, so call again when rows change
+    renderMixer() {
+        const container = document.getElementById('mixer-channels');
+        if (!container) return;
+        
+        if (this.masterVolumeControl) {
+            const master = Math.round(this.drumMachine.mixer.master * 100);
+            this.masterVolumeControl.value = master;
+            this.masterVolumeValue.textContent = master;
+        }
+        
+        container.innerHTML = '';
+        for (let row = 0; row < this.gridRows; row++) {
+            const settings = this.drumMachine.getChannelSettings(row);
+            const colors = this.instrumentColors[row];
             
-            // Refund the cost
-            const cost = this.alienCosts[row] || 1;
-            this.alienBudget += cost;
-            if (this.alienBudget > this.alienBudgetMax) this.alienBudget = this.alienBudgetMax;
+            const strip = document.createElement('div');
+            strip.className = 'mixer-strip';
             
-            // Remove from evolved set if present
-            this.evolvedCells.delete(`${row},${col}`);
-        } else {
-            // Check budget before adding
-            const cost = this.alienCosts[row] || 1;
-            if (this.alienBudget < cost) {
-                // Can't afford! Flash budget red
-                this.budgetShakeTimer = 20; // 20 frames shake
-                return;
+            const name = document.createElement('span');
+            name.className = 'mixer-name';
+            name.textContent = colors.name;
+            name.style.color = colors.primary;
+            
+            // Polymeter: the row's own loop length
+            const length = document.createElement('select');
+            length.className = 'mixer-length';
+            length.title = `${colors.name} loop length (steps)`;
+            for (let steps = 1; steps <= this.gridCols; steps++) {
+                const option = document.createElement('option');
+                option.value = steps;
+                option.textContent = steps;
+                length.appendChild(option);
             }
+            length.value = this.getRowLength(row);
+            length.addEventListener('change', () => {
+                this.setRowLength(row, parseInt(length.value));
+            });
+            
+            const volume = document.createElement('input');
+            volume.type = 'range';
+            volume.min = 0;
+            volume.max = 100;
+            volume.value = Math.round(settings.volume * 100);
+            volume.title = `${colors.name} volume`;
+            volume.addEventListener('input', () => {
+                this.drumMachine.setChannel(row, { volume: parseInt(volume.value) / 100 });
+            });
             
-            // Add to grid
-            this.grid[row][col] = true;
+            const pan = document.createElement('input');
+            pan.type = 'range';
+            pan.min = -100;
+            pan.max = 100;
+            pan.value = Math.round(settings.pan * 100);
+            pan.title = `${colors.name} pan`;
+            pan.addEventListener('input', () => {
+                this.drumMachine.setChannel(row, { pan: parseInt(pan.value) / 100 });
+            });
+            // Double-click recenters the pan
+            pan.addEventListener('dblclick', () => {
+                pan.value = 0;
+                this.drumMachine.setChannel(row, { pan: 0 });
+            });
             
-            // Check if this cell is evolved
-            const isEvolved = this.evolvedCells.has(`${row},${col}`);
+            const mute = document.createElement('button');
+            mute.className = 'mixer-toggle';
+            mute.textContent = 'M';
+            mute.title = `Mute ${colors.name}`;
+            mute.classList.toggle('active', settings.mute);
+            mute.addEventListener('click', () => {
+                const muted = !this.drumMachine.getChannelSettings(row).mute;
+                this.drumMachine.setChannel(row, { mute: muted });
+                mute.classList.toggle('active', muted);
+            });
             
-            this.aliens.push({
-                row,
-                col,
-                x: col * this.cellWidth + this.cellWidth / 2,
-                y: row * this.cellHeight + this.gridYOffset + this.cellHeight / 2,
-                alive: true,
-                evolved: isEvolved,
-                damage: isEvolved ? 2 : 0 // +2 damage if evolved
+            const solo = document.createElement('button');
+            solo.className = 'mixer-toggle solo';
+            solo.textContent = 'S';
+            solo.title = `Solo ${colors.name}`;
+            solo.classList.toggle('active', settings.solo);
+            solo.addEventListener('click', () => {
+                const soloed = !this.drumMachine.getChannelSettings(row).solo;
+                this.drumMachine.setChannel(row, { solo: soloed });
+                solo.classList.toggle('active', soloed);
             });
             
-            // Deduct budget
-            this.alienBudget -= cost;
+            strip.appendChild(name);
+            strip.appendChild(length);
+            strip.appendChild(volume);
+            strip.appendChild(pan);
+            strip.appendChild(mute);
+            strip.appendChild(solo);
+            container.appendChild(strip);
         }
     }
 
-    setupPresetButtons() {
-        const presets = {
-            rock: [
-                [1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0],
-                [0, 0, 1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0, 1, 0],
-                [1, 0, 1, 0, 1, 0, 1, 0, 1, 0, 1, 0, 1, 0, 1, 0]
-            ],
-            funk: [
-                [1, 0, 0, 1, 0, 0, 1, 0, 1, 0, 0, 1, 0, 0, 1, 0],
-                [0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0],
-                [1, 0, 1, 1, 0, 1, 1, 0, 1, 0, 1, 1, 0, 1, 1, 0]
-            ],
-            jazz: [
-                [1, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0],
-                [0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0, 1],
-                [1, 0, 1, 0, 1, 0, 1, 0, 1, 0, 1, 0, 1, 0, 1, 0]
-            ],
-            hiphop: [
-                [1, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0],
-                [0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0],
-                [1, 0, 0, 1, 0, 0, 1, 0, 1, 0, 0, 1, 0, 0, 1, 0]
-            ]
+    setupEuclid() {
+        const panel = document.getElementById('euclid');
+        const rowSelect = document.getElementById('euclid-row');
+        const applyBtn = document.getElementById('euclid-apply');
+        if (!panel || !rowSelect || !applyBtn) return;
+        
+        // The preview shows on the grid while the panel is pointed at or being edited
+        let hovering = false;
+        let focused = false;
+        const refresh = () => {
+            if (hovering || focused) {
+                this.updateEuclidPreview();
+            } else {
+                this.euclidPreview = null;
+            }
         };
+        panel.addEventListener('pointerenter', () => { hovering = true; refresh(); });
+        panel.addEventListener('pointerleave', () => { hovering = false; refresh(); });
+        panel.addEventListener('focusin', () => { focused = true; refresh(); });
+        panel.addEventListener('focusout', () => { focused = false; refresh(); });
+        ['euclid-hits', 'euclid-steps', 'euclid-rotate'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('input', () => this.updateEuclidPreview());
+            }
+        });
         
-        Object.keys(presets).forEach(preset => {
-            const btn = document.getElementById(`preset-${preset}`);
+        // Picking a row starts from its current loop length
+        rowSelect.addEventListener('change', () => {
+            const stepsInput = document.getElementById('euclid-steps');
+            if (stepsInput) {
+                stepsInput.value = this.getRowLength(parseInt(rowSelect.value));
+            }
+            this.updateEuclidPreview();
+        });
+        
+        applyBtn.addEventListener('click', () => {
+            const { row, hits, steps, rotation } = this.getEuclidSettings();
+            this.fillEuclid(row, hits, steps, rotation);
+            this.updateEuclidPreview();
+        });
+        this.updateEuclidControls();
+    }
+
+    // Row choices and step limit follow the grid's rows and length
+    updateEuclidControls() {
+        const rowSelect = document.getElementById('euclid-row');
+        const stepsInput = document.getElementById('euclid-steps');
+        const rotateInput = document.getElementById('euclid-rotate');
+        if (!rowSelect) return;
+        
+        const selected = parseInt(rowSelect.value) || 0;
+        rowSelect.innerHTML = '';
+        for (let row = 0; row < this.gridRows; row++) {
+            const option = document.createElement('option');
+            option.value = row;
+            option.textContent = this.instrumentColors[row].name;
+            rowSelect.appendChild(option);
+        }
+        rowSelect.value = Math.min(selected, this.gridRows - 1);
+        if (stepsInput) {
+            stepsInput.max = this.gridCols;
+            if (!(parseInt(stepsInput.value) <= this.gridCols)) {
+                stepsInput.value = this.gridCols;
+            }
+        }
+        if (rotateInput) {
+            rotateInput.max = this.gridCols - 1;
+        }
+    }
+
+    getEuclidSettings() {
+        const value = (id, fallback) => {
+            const input = document.getElementById(id);
+            const parsed = input ? parseInt(input.value) : NaN;
+            return isNaN(parsed) ? fallback : parsed;
+        };
+        const row = Math.max(0, Math.min(this.gridRows - 1, value('euclid-row', 0)));
+        const steps = Math.max(1, Math.min(this.gridCols, value('euclid-steps', this.gridCols)));
+        const hits = Math.max(0, Math.min(steps, value('euclid-hits', 0)));
+        const rotation = Math.max(0, value('euclid-rotate', 0)) % steps;
+        return { row, hits, steps, rotation };
+    }
+
+    // How many hits a row can afford once its current beats are refunded
+    getEuclidAffordableHits(row) {
+        let budget = this.alienBudget;
+        for (const cell of this.grid[row]) {
+            if (cell) budget += this.getCellCost(row, cell);
+        }
+        return Math.floor(Math.min(this.alienBudgetMax, budget) / (this.alienCosts[row] || 1));
+    }
+
+    // Preview on the grid and as text: hits past the budget are marked
+    updateEuclidPreview() {
+        const { row, hits, steps, rotation } = this.getEuclidSettings();
+        const pattern = euclideanRhythm(hits, steps, rotation);
+        const affordable = this.getEuclidAffordableHits(row);
+        this.euclidPreview = { row, steps, pattern, affordable };
+        
+        const preview = document.getElementById('euclid-preview');
+        if (preview) {
+            let placed = 0;
+            preview.textContent = pattern.map(hit => !hit ? '.' : placed++ < affordable ? 'x' : 'o').join('') +
+                (hits > affordable ? ` (${affordable}/${hits} fit the budget)` : '');
+        }
+    }
+
+    setupTransforms() {
+        const selectBtn = document.getElementById('select-mode');
+        if (selectBtn) {
+            selectBtn.addEventListener('click', () => this.setSelectMode(!this.selectMode));
+        }
+        const copyBtn = document.getElementById('copy-selection');
+        if (copyBtn) {
+            copyBtn.addEventListener('click', () => this.copySelection());
+        }
+        const cutBtn = document.getElementById('cut-selection');
+        if (cutBtn) {
+            cutBtn.addEventListener('click', () => this.copySelection(true));
+        }
+        const pasteBtn = document.getElementById('paste-selection');
+        if (pasteBtn) {
+            pasteBtn.addEventListener('click', () => this.pasteSelection());
+        }
+        
+        Object.keys(PATTERN_TRANSFORMS).forEach(type => {
+            const btn = document.getElementById(`transform-${type}`);
             if (btn) {
                 btn.addEventListener('click', () => {
-                    this.loadPreset(presets[preset]);
+                    const target = document.getElementById('transform-target');
+                    this.transformPattern(type, target && target.value !== 'all' ? parseInt(target.value) : null);
                 });
             }
         });
-        
-        const clearBtn = document.getElementById('preset-clear');
-        if (clearBtn) {
-            clearBtn.addEventListener('click', () => {
-                this.clearGrid();
-            });
+        this.updateTransformTargets();
+    }
+
+    updateTransformTargets() {
+        const target = document.getElementById('transform-target');
+        if (!target) return;
+
+        const selected = target.value;
+        target.innerHTML = '';
+        const all = document.createElement('option');
+        all.value = 'all';
+        all.textContent = 'All rows';
+        target.appendChild(all);
+        for (let row = 0; row < this.gridRows; row++) {
+            const option = document.createElement('option');
+            option.value = row;
+            option.textContent = this.instrumentColors[row].name;
+            target.appendChild(option);
+        }
+        target.value = selected !== 'all' && parseInt(selected) < this.gridRows ? selected : 'all';
+    }
+
+    // Runs a toolbar transform on one row (or every row when `row` is null),
+    // each within its own loop length. Works in any phase, prepare included.
+    transformPattern(type, row = null) {
+        const before = this.captureGridState();
+        const rows = row === null ? [...Array(this.gridRows).keys()] : [row];
+        let dropped = 0;
+        for (const r of rows) {
+            const length = this.getRowLength(r);
+            const sources = transformRow(this.grid[r].slice(0, length), type);
+            const cells = sources.map(source =>
+                source === NEW_CELL ? this.createCell() : source !== null && this.grid[r][source]);
+            dropped += this.replaceRowCells(r, cells, sources);
+        }
+
+        if (!this.gridChangedSince(before)) {
+            this.showToast(`${PATTERN_TRANSFORMS[type]}: nothing to change`);
+            return;
         }
+        this.pushHistory(before);
+
+        if (dropped > 0) {
+            this.budgetShakeTimer = 20;
+            this.showToast(`${PATTERN_TRANSFORMS[type]} (${dropped} beat${dropped === 1 ? '' : 's'} over budget)`);
+        } else {
+            this.showToast(PATTERN_TRANSFORMS[type]);
+        }
+    }
+
+    // Swaps a row's cells for new ones with toggleGridCell()'s accounting: the
+    // old cells are refunded, then the new ones are paid for left to right until
+    // the budget runs out. `sources` gives the column each cell came from (as
+    // returned by transformRow()), so a moved beat takes its alien along - alive
+    // or dead, with its HP and evolution. Copies and new beats get fresh aliens.
+    // Returns how many cells didn't fit.
+    replaceRowCells(row, cells, sources = null) {
+        const current = new Map(this.aliens.filter(alien => alien.row === row).map(alien => [alien.col, alien]));
+        const evolved = new Set();
+        this.grid[row].forEach((cell, col) => {
+            if (cell) {
+                this.alienBudget = Math.min(this.alienBudgetMax, this.alienBudget + this.getCellCost(row, cell));
+            }
+            if (this.evolvedCells.delete(`${row},${col}`)) {
+                evolved.add(col);
+            }
+        });
+        this.aliens = this.aliens.filter(alien => alien.row !== row);
+
+        let dropped = 0;
+        this.grid[row] = this.grid[row].map((_, col) => {
+            const cell = cells[col];
+            if (!cell) return false;
+            const cost = this.getCellCost(row, cell);
+            if (this.alienBudget < cost) {
+                dropped++;
+                return false;
+            }
+            this.alienBudget -= cost;
+            const source = sources ? sources[col] : col;
+            if (evolved.has(source)) {
+                this.evolvedCells.add(`${row},${col}`);
+            }
+            const alien = current.get(source);
+            if (alien) {
+                current.delete(source);
+                alien.col = col;
+                alien.x = col * this.cellWidth + this.cellWidth / 2;
+                this.aliens.push(alien);
+            } else {
+                this.aliens.push(this.createAlien(row, col));
+            }
+            return { ...cell };
+        });
+        return dropped;
+    }
+
+    // Replaces a row with a Euclidean rhythm and sets its loop to `steps`.
+    // Fills left to right and stops when the budget runs out, like loadPreset().
+    fillEuclid(row, hits, steps, rotation) {
+        this.pushHistory();
+        
+        // Start the row from scratch, refunding what was there
+        this.grid[row].forEach((cell, col) => {
+            if (cell) {
+                this.alienBudget = Math.min(this.alienBudgetMax, this.alienBudget + this.getCellCost(row, cell));
+                this.grid[row][col] = false;
+                this.evolvedCells.delete(`${row},${col}`);
+            }
+        });
+        this.aliens = this.aliens.filter(alien => alien.row !== row);
+        this.applyRowLength(row, steps);
+        
+        const cost = this.alienCosts[row] || 1;
+        let placed = 0;
+        euclideanRhythm(hits, steps, rotation).forEach((hit, col) => {
+            if (!hit || this.alienBudget < cost) return;
+            this.grid[row][col] = this.createCell();
+            this.aliens.push(this.createAlien(row, col));
+            this.alienBudget -= cost;
+            placed++;
+        });
+        this.renderMixer();
         
-        // NEW: Share button
-        const shareBtn = document.getElementById('preset-share');
-        if (shareBtn) {
-            shareBtn.addEventListener('click', () => {
-                this.encodePatternToURL();
-            });
+        const name = this.instrumentColors[row].name;
+        if (placed < hits) {
+            this.budgetShakeTimer = 20;
+            this.showToast(`${name}: ${placed}/${hits} hits over ${steps} (budget full)`);
+        } else {
+            this.showToast(`${name}: ${hits} hits over ${steps}`);
         }
     }
 
-    loadPreset(pattern) {
+    // Values are velocity levels (0 = off) or whole cells. Library patterns
+    // also bring their own row lengths.
+    loadPreset(pattern, rowLengths = null) {
+        this.pushHistory();
+        this.budgetTrimmedCells = [];
+        // Patterns carry their own length (e.g. 12 steps for a 12/8 shuffle)
+        const length = pattern[0] ? pattern[0].length : this.gridCols;
+        if (PATTERN_LENGTHS[length] && length !== this.gridCols) {
+            this.resizeGrid(length);
+        }
+        // Presets are written for the full length on every row
+        if (rowLengths || this.isPolymeter()) {
+            this.rowLengths = Array(this.gridRows).fill().map((_, row) =>
+                rowLengths && rowLengths[row] >= 1 ? Math.min(rowLengths[row], this.gridCols) : this.gridCols);
+            this.nextRowSteps = this.nextRowSteps.map((step, row) => step < this.rowLengths[row] ? step : 0);
+            this.renderMixer();
+        }
         this.clearGrid();
         // Fill left to right, respecting budget
         for (let col = 0; col < this.gridCols; col++) {
             for (let row = 0; row < this.gridRows; row++) {
-                if (pattern[row] && pattern[row][col] === 1) {
-                    const cost = this.alienCosts[row] || 1;
-                    if (this.alienBudget >= cost) {
-                        this.grid[row][col] = true;
-                        const isEvolved = this.evolvedCells.has(`${row},${col}`);
-                        this.aliens.push({
-                            row,
-                            col,
-                            x: col * this.cellWidth + this.cellWidth / 2,
-                            y: row * this.cellHeight + this.gridYOffset + this.cellHeight / 2,
-                            alive: true,
-                            evolved: isEvolved,
-                            damage: isEvolved ? 2 : 0
-                        });
-                        this.alienBudget -= cost;
-                    }
+                const value = pattern[row] ? pattern[row][col] : 0;
+                const cell = typeof value === 'object' ? value : value > 0 && this.createCell(Math.min(value, VELOCITY.ACCENT));
+                if (cell && this.alienBudget >= this.getCellCost(row, cell)) {
+                    this.placeGridCell(row, col, cell);
+                }
+            }
+        }
+    }
+
+    // Grows or shrinks the grid to a row count (3 base rows, up to Tom and Cymbal)
+    setGridRows(rows) {
+        rows = Math.max(this.baseGridRows, Math.min(this.instrumentColors.length, rows));
+        if (rows === this.gridRows) return;
+        
+        // The bank keeps the beats of locked rows (from a link or an earlier run)
+        if (rows < this.gridRows) {
+            this.storeCurrentPattern();
+        }
+        const stored = this.patternBank[this.currentSlot];
+        while (this.gridRows < rows) {
+            const row = this.gridRows;
+            const storedCells = stored && stored.grid[row];
+            this.grid.push(Array(this.gridCols).fill(false));
+            this.beatFlash.push(Array(this.gridCols).fill(0));
+            this.rowLengths.push(storedCells ? Math.min(this.getPatternRowLength(stored, row), this.gridCols) : this.gridCols);
+            this.nextRowSteps.push(0);
+            this.rowSteps.push(0);
+            this.gridRows++;
+            
+            // Stored beats come back as far as the budget goes; the rest stay stored
+            for (let col = 0; storedCells && col < this.rowLengths[row]; col++) {
+                const cell = storedCells[col];
+                if (!cell) continue;
+                if (this.alienBudget >= this.getCellCost(row, cell)) {
+                    this.placeGridCell(row, col, cell);
+                } else {
+                    this.budgetTrimmedCells.push({ row, col, cell });
                 }
             }
         }
+        while (this.gridRows > rows) {
+            this.gridRows--;
+            // Refund whatever was placed on the removed row
+            this.grid.pop().forEach((cell, col) => {
+                if (cell) {
+                    this.alienBudget = Math.min(this.alienBudgetMax, this.alienBudget + this.getCellCost(this.gridRows, cell));
+                    this.evolvedCells.delete(`${this.gridRows},${col}`);
+                }
+            });
+            this.beatFlash.pop();
+            this.rowLengths.pop();
+            this.nextRowSteps.pop();
+            this.rowSteps.pop();
+            this.aliens = this.aliens.filter(alien => alien.row < this.gridRows);
+        }
+        this.renderMixer();
+        this.updateEuclidControls();
+        this.updateTransformTargets();
     }
 
     clearGrid() {
         this.grid = Array(this.gridRows).fill().map(() => Array(this.gridCols).fill(false));
+        this.budgetTrimmedCells = [];
         this.aliens = [];
         // Reset budget to max when clearing
         this.alienBudget = this.alienBudgetMax;
     }
 
+    captureGridState() {
+        return {
+            grid: this.grid.map(row => row.map(cell => cell && { ...cell })),
+            aliens: this.aliens.map(alien => ({ ...alien })),
+            alienBudget: this.alienBudget,
+            evolvedCells: new Set(this.evolvedCells),
+            length: this.gridCols,
+            rowLengths: [...this.rowLengths],
+            slot: this.currentSlot
+        };
+    }
+
+    restoreGridState(state) {
+        // Aliens still on the grid keep their current state, so undo can't revive the dead
+        const current = new Map(this.aliens.map(alien => [`${alien.row},${alien.col}`, alien]));
+        if (state.length !== this.gridCols) {
+            this.resizeGrid(state.length);
+        }
+        this.grid = state.grid.map(row => row.map(cell => cell && { ...cell }));
+        this.aliens = state.aliens.map(alien => current.get(`${alien.row},${alien.col}`) || { ...alien });
+        this.alienBudget = state.alienBudget;
+        this.evolvedCells = new Set(state.evolvedCells);
+        this.rowLengths = [...state.rowLengths];
+        this.nextRowSteps = this.nextRowSteps.map((step, row) => step < this.getRowLength(row) ? step : 0);
+        this.positionAliens();
+        this.renderMixer();
+    }
+
+    // Call before any grid edit (or pass the state captured before it)
+    pushHistory(state = this.captureGridState()) {
+        this.undoStack.push(state);
+        if (this.undoStack.length > this.historyLimit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.updateHistoryButtons();
+    }
+
+    clearHistory() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.updateHistoryButtons();
+    }
+
+    // Undo and redo bring back the pattern slot the edit was made in
+    undo() {
+        if (this.undoStack.length === 0) return;
+        const state = this.undoStack.pop();
+        this.switchSlot(state.slot);
+        this.redoStack.push(this.captureGridState());
+        this.restoreGridState(state);
+        this.updateHistoryButtons();
+        this.showToast('Undo');
+    }
+
+    redo() {
+        if (this.redoStack.length === 0) return;
+        const state = this.redoStack.pop();
+        this.switchSlot(state.slot);
+        this.undoStack.push(this.captureGridState());
+        this.restoreGridState(state);
+        this.updateHistoryButtons();
+        this.showToast('Redo');
+    }
+
+    updateHistoryButtons() {
+        const undoBtn = document.getElementById('undo-button');
+        const redoBtn = document.getElementById('redo-button');
+        if (undoBtn) undoBtn.disabled = this.undoStack.length === 0;
+        if (redoBtn) redoBtn.disabled = this.redoStack.length === 0;
+    }
+
+    // Song mode. The current slot's pattern lives in the grid; the bank keeps
+    // copies of the others.
+    storeCurrentPattern() {
+        const pattern = this.copyPattern({
+            grid: this.grid,
+            length: this.gridCols,
+            rowLengths: this.rowLengths.slice(0, this.gridRows)
+        });
+        for (const { row, col, cell } of this.budgetTrimmedCells) {
+            if (pattern.grid[row] && col < this.getPatternRowLength(pattern, row) && !pattern.grid[row][col]) {
+                pattern.grid[row][col] = { ...cell };
+            }
+        }
+        // Rows that aren't unlocked yet keep what the bank had on them
+        const stored = this.patternBank[this.currentSlot];
+        for (let row = this.gridRows; stored && row < stored.grid.length; row++) {
+            pattern.grid.push(Array(pattern.length).fill().map((_, col) =>
+                stored.grid[row][col] ? { ...stored.grid[row][col] } : false));
+            pattern.rowLengths.push(Math.min(this.getPatternRowLength(stored, row), pattern.length));
+        }
+        this.patternBank[this.currentSlot] = pattern;
+    }
+
+    copyPattern(pattern) {
+        return {
+            grid: pattern.grid.map(row => row.map(cell => cell && { ...cell })),
+            length: pattern.length,
+            rowLengths: [...pattern.rowLengths]
+        };
+    }
+
+    // A slot's pattern as it would play (not a copy). Unused slots are empty.
+    getSlotPattern(slot) {
+        if (slot === this.currentSlot) {
+            return { grid: this.grid, length: this.gridCols, rowLengths: this.rowLengths };
+        }
+        return this.patternBank[slot] || { grid: [], length: this.gridCols, rowLengths: [] };
+    }
+
+    getPatternRowLength(pattern, row) {
+        return Math.min(pattern.rowLengths[row] || pattern.length, pattern.length);
+    }
+
+    slotHasNotes(slot) {
+        return this.getSlotPattern(slot).grid.some(row => row.some(cell => cell));
+    }
+
+    // Puts a slot's pattern on the grid. Every pattern is priced against the
+    // wave's budget on its own, like a preset, and trimmed left to right when
+    // it can't be afforded. Returns how many beats were left out.
+    loadSlot(slot, clampSequencer = true) {
+        const pattern = this.patternBank[slot] ? this.copyPattern(this.patternBank[slot]) : null;
+        this.currentSlot = slot;
+        const length = pattern ? pattern.length : this.gridCols;
+        if (length !== this.gridCols) {
+            this.resizeGrid(length, clampSequencer);
+        }
+        this.grid = Array(this.gridRows).fill().map((_, row) =>
+            pattern && pattern.grid[row] ? pattern.grid[row] : Array(this.gridCols).fill(false));
+        this.rowLengths = Array(this.gridRows).fill().map((_, row) =>
+            pattern ? this.getPatternRowLength(pattern, row) : this.gridCols);
+        if (clampSequencer) {
+            this.nextRowSteps = this.nextRowSteps.map((step, row) => step < this.rowLengths[row] ? step : 0);
+        }
+        
+        // A pattern saved in a later wave may cost more than this one allows.
+        // What's left out is kept for storing, so the bank copy stays whole.
+        const full = this.grid.map(cells => [...cells]);
+        const dropped = this.fitPatternToBudget({ length: this.gridCols, grid: this.grid });
+        this.budgetTrimmedCells = [];
+        full.forEach((cells, row) => cells.forEach((cell, col) => {
+            if (cell && !this.grid[row][col]) {
+                this.budgetTrimmedCells.push({ row, col, cell });
+            }
+        }));
+        let cost = 0;
+        this.grid.forEach((cells, row) => cells.forEach(cell => {
+            if (cell) cost += this.getCellCost(row, cell);
+        }));
+        this.alienBudget = Math.max(0, this.alienBudgetMax - cost);
+        this.respawnAliens();
+        this.renderMixer();
+        this.updateBankButtons();
+        if (dropped > 0) {
+            this.showToast(`Pattern ${slot}: ${dropped} beat${dropped === 1 ? '' : 's'} over budget left out`);
+        }
+        return dropped;
+    }
+
+    // Shows a slot for editing. While playing it's heard from the next step;
+    // a running song takes over again at its next pattern.
+    switchSlot(slot) {
+        if (!PATTERN_SLOTS.includes(slot) || slot === this.currentSlot) return;
+        this.storeCurrentPattern();
+        // Aliens keep their state until the loop respawns them, so a switch can't revive
+        // the dead: as they are now, or as they were when this slot was left
+        const slotAliens = { ...this.slotAliens, [this.currentSlot]: this.aliens };
+        const current = new Map([...(slotAliens[slot] || []), ...this.aliens]
+            .map(alien => [`${alien.row},${alien.col}`, alien]));
+        const dropped = this.loadSlot(slot);
+        this.aliens = this.aliens.map(alien => current.get(`${alien.row},${alien.col}`) || alien);
+        this.slotAliens = slotAliens;
+        this.positionAliens();
+        this.scheduledSlot = slot;
+        this.saveSession();
+        if (dropped === 0) {
+            this.showToast(`Pattern ${slot}`);
+        }
+    }
+
+    // Shift+click on a slot button copies the current pattern into it
+    copyToSlot(slot) {
+        if (!PATTERN_SLOTS.includes(slot) || slot === this.currentSlot) return;
+        this.storeCurrentPattern();
+        this.patternBank[slot] = this.copyPattern(this.patternBank[this.currentSlot]);
+        this.updateBankButtons();
+        this.saveSession();
+        this.showToast(`Copied ${this.currentSlot} to ${slot}`);
+    }
+
+    // Song lane: slot letters in play order, e.g. "AABA". Anything else is dropped.
+    setSong(text) {
+        this.song = String(text).toUpperCase().split('')
+            .filter(letter => PATTERN_SLOTS.includes(letter))
+            .slice(0, MAX_SONG_LENGTH);
+        // Start from the top of the song at the next pattern change
+        this.scheduledSongPosition = -1;
+        if (this.songInput) {
+            this.songInput.value = this.song.join('');
+        }
+    }
+
+    // Songs sit out hot-seat matches: each round plays the grid its composer built
+    isSongActive() {
+        return this.song.length > 0 && !this.versus;
+    }
+
+    // The scheduler reached the end of a pattern: pick the next one
+    advanceScheduledSlot() {
+        let slot = this.currentSlot;
+        if (this.isSongActive()) {
+            this.scheduledSongPosition = (this.scheduledSongPosition + 1) % this.song.length;
+            slot = this.song[this.scheduledSongPosition];
+        }
+        // A different pattern starts every row from its first step
+        if (slot !== this.scheduledSlot) {
+            this.nextRowSteps = Array(this.gridRows).fill(0);
+        }
+        this.scheduledSlot = slot;
+    }
+
+    setupPatternBank() {
+        for (const slot of PATTERN_SLOTS) {
+            const btn = document.getElementById(`bank-${slot}`);
+            if (btn) {
+                btn.addEventListener('click', (e) => {
+                    if (e.shiftKey) {
+                        this.copyToSlot(slot);
+                    } else {
+                        this.switchSlot(slot);
+                    }
+                });
+            }
+        }
+        
+        if (this.songInput) {
+            this.songInput.addEventListener('change', () => {
+                this.setSong(this.songInput.value);
+                this.saveSession();
+                if (this.versus && this.song.length > 0) {
+                    this.showToast(`Song: ${this.song.join(' ')} (after the match)`);
+                } else {
+                    this.showToast(this.isSongActive() ? `Song: ${this.song.join(' ')}` : 'Song off');
+                }
+            });
+        }
+        
+        // Save the bank when the page goes away
+        window.addEventListener('pagehide', () => this.saveSession());
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.saveSession();
+            }
+        });
+        this.updateBankButtons();
+    }
+
+    updateBankButtons() {
+        for (const slot of PATTERN_SLOTS) {
+            const btn = document.getElementById(`bank-${slot}`);
+            if (btn) {
+                btn.classList.toggle('active', slot === this.currentSlot);
+                btn.classList.toggle('filled', slot !== this.currentSlot && this.slotHasNotes(slot));
+            }
+        }
+    }
+
+    // HUD line: the current slot, or the song with the playing entry in brackets
+    getSongLabel() {
+        if (!this.isSongActive()) {
+            return `PATTERN ${this.currentSlot}`;
+        }
+        // Long songs show a window around the playing entry
+        const shown = 12;
+        const start = Math.max(0, Math.min(this.songPosition - 4, this.song.length - shown));
+        const entries = this.song.slice(start, start + shown).map((slot, i) =>
+            start + i === this.songPosition ? `[${slot}]` : slot);
+        return `SONG ${start > 0 ? '… ' : ''}${entries.join(' ')}${start + shown < this.song.length ? ' …' : ''}`;
+    }
+
     restartGame() {
+        this.humanDefended = !this.aiActive;
         this.currentWave = 1;
         this.currentLoop = 1;
-        this.defenderHP = this.defenderMaxHP;
         this.score = 0;
+        this.combo = 0;
+        this.maxCombo = 0;
         this.wavePhase = 'playing';
         this.gameOver = false;
         this.defenderLowHP = false;
@@ -831,9 +3967,13 @@ class Game {
         this.currentCardChoices = [];
         this.fireZones = [];
         
+        // Card-unlocked rows go away with the cards
+        this.setGridRows(this.baseGridRows);
+        this.clearHistory();
+        
         // Reset budget and evolution
-        this.alienBudget = 8;
-        this.alienBudgetMax = 8;
+        this.alienBudgetMax = this.getBudgetForWave(1);
+        this.alienBudget = this.alienBudgetMax;
         this.evolvedCells.clear();
         this.aiAdapting = false;
         this.aiAdaptMessage = 0;
@@ -857,6 +3997,11 @@ class Game {
         
         // Reset AI for wave 1
         this.updateAIForWave();
+        this.defenderHP = this.defenderMaxHP;
+        
+        // Restart the pattern from the top, replaying the same chance rolls
+        this.setTrigSeed(this.trigSeed);
+        this.startSequencer();
         
         // Respawn all aliens from grid pattern
         this.respawnAliens();
@@ -886,18 +4031,22 @@ class Game {
         if (index < 0 || index >= this.currentCardChoices.length) return;
         
         const card = this.currentCardChoices[index];
-        this.applyUpgrade(card);
-        
-        // Mark as picked
-        this.upgrades[card.id] = true;
         
         // Advance to next wave
         this.currentWave++;
         
         // Update budget for new wave: Wave 1 = 8, Wave 2 = 10, +2 per wave, cap at 24
-        this.alienBudgetMax = Math.min(24, 8 + (this.currentWave - 1) * 2);
+        this.alienBudgetMax = this.getBudgetForWave(this.currentWave);
         this.alienBudget = this.alienBudgetMax;
         
+        // History starts over with the new budget. The card goes after, so
+        // Scramble and Mirror Beat can be undone within the new wave.
+        this.clearHistory();
+        this.applyUpgrade(card);
+        
+        // Mark as picked
+        this.upgrades[card.id] = true;
+        
         // Reset AI adaptation for new wave
         this.aiAdapting = false;
         this.aiColumnHeatmap = Array(this.gridCols).fill(0);
@@ -953,26 +4102,20 @@ class Game {
                 break;
                 
             case 'extraRow':
-                // Add 4th row
-                if (this.gridRows === 3) {
-                    this.gridRows = 4;
-                    this.grid.push(Array(this.gridCols).fill(false));
-                    this.beatFlash.push(Array(this.gridCols).fill(0));
-                    this.drumMachine.soundOrder.push(1); // Reuse snare for 4th row
-                    this.instrumentColors.push({
-                        primary: '#00ffff',
-                        secondary: '#00aaaa',
-                        name: 'Cyan'
-                    });
-                }
-                this.createPopup(this.canvas.width/2, this.canvas.height/2, 'EXTRA ROW!', '#00ffff');
+                this.setGridRows(4);
+                this.createPopup(this.canvas.width/2, this.canvas.height/2, 'TOM ROW!', this.instrumentColors[3].primary);
+                break;
+                
+            case 'cymbalRow':
+                this.setGridRows(5);
+                this.createPopup(this.canvas.width/2, this.canvas.height/2, 'CYMBAL ROW!', this.instrumentColors[4].primary);
                 break;
                 
             case 'tempoPush':
                 this.bpm += 20;
                 this.bpmControl.value = this.bpm;
                 this.bpmValue.textContent = this.bpm;
-                this.stepInterval = (60 / this.bpm) * 1000 / 4;
+                this.stepInterval = (60 / this.bpm) * 1000 / this.stepsPerBeat;
                 const speedScale = 1 + ((this.bpm - 60) / (200 - 60)) * 1.5;
                 this.defender.speed = Math.round(5 * speedScale);
                 this.createPopup(this.canvas.width/2, this.canvas.height/2, 'TEMPO PUSH!', '#ffff00');
@@ -983,19 +4126,14 @@ class Game {
                 break;
                 
             case 'scramble':
+                this.pushHistory();
                 // Fill 30% of empty cells
                 let filled = 0;
                 for (let row = 0; row < this.gridRows; row++) {
-                    for (let col = 0; col < this.gridCols; col++) {
+                    for (let col = 0; col < this.getRowLength(row); col++) {
                         if (!this.grid[row][col] && Math.random() < 0.3) {
-                            this.grid[row][col] = true;
-                            this.aliens.push({
-                                row, col,
-                                x: col * this.cellWidth + this.cellWidth / 2,
-                                y: row * this.cellHeight + this.gridYOffset + this.cellHeight / 2,
-                                alive: true,
-                                hp: this.upgrades.alienArmor ? 2 : 1
-                            });
+                            this.grid[row][col] = this.createCell();
+                            this.aliens.push(this.createAlien(row, col));
                             filled++;
                         }
                     }
@@ -1004,30 +4142,18 @@ class Game {
                 break;
                 
             case 'mirrorBeat':
+                this.pushHistory();
                 // Mirror the pattern
                 for (let row = 0; row < this.gridRows; row++) {
-                    for (let col = 0; col < this.gridCols / 2; col++) {
-                        const mirrorCol = this.gridCols - 1 - col;
+                    const rowLength = this.getRowLength(row);
+                    for (let col = 0; col < rowLength / 2; col++) {
+                        const mirrorCol = rowLength - 1 - col;
                         if (this.grid[row][col] && !this.grid[row][mirrorCol]) {
-                            this.grid[row][mirrorCol] = true;
-                            this.aliens.push({
-                                row,
-                                col: mirrorCol,
-                                x: mirrorCol * this.cellWidth + this.cellWidth / 2,
-                                y: row * this.cellHeight + this.gridYOffset + this.cellHeight / 2,
-                                alive: true,
-                                hp: this.upgrades.alienArmor ? 2 : 1
-                            });
+                            this.grid[row][mirrorCol] = { ...this.grid[row][col] };
+                            this.aliens.push(this.createAlien(row, mirrorCol));
                         } else if (!this.grid[row][col] && this.grid[row][mirrorCol]) {
-                            this.grid[row][col] = true;
-                            this.aliens.push({
-                                row,
-                                col: col,
-                                x: col * this.cellWidth + this.cellWidth / 2,
-                                y: row * this.cellHeight + this.gridYOffset + this.cellHeight / 2,
-                                alive: true,
-                                hp: this.upgrades.alienArmor ? 2 : 1
-                            });
+                            this.grid[row][col] = { ...this.grid[row][mirrorCol] };
+                            this.aliens.push(this.createAlien(row, col));
                         }
                     }
                 }
@@ -1048,35 +4174,41 @@ class Game {
         }
     }
 
+    // Reset alive state for all aliens in the pattern
     respawnAliens() {
-        // Reset alive state for all aliens in the pattern
         this.aliens = [];
+        this.slotAliens = {};
         for (let row = 0; row < this.gridRows; row++) {
             for (let col = 0; col < this.gridCols; col++) {
                 if (this.grid[row][col]) {
-                    const isEvolved = this.evolvedCells.has(`${row},${col}`);
-                    // Boss waves: aliens have 3x HP
-                    let baseHP = this.upgrades.alienArmor ? 2 : 1;
-                    if (this.isBossWave) {
-                        baseHP *= 3;
-                    }
-                    this.aliens.push({
-                        row,
-                        col,
-                        x: col * this.cellWidth + this.cellWidth / 2,
-                        y: row * this.cellHeight + this.gridYOffset + this.cellHeight / 2,
-                        alive: true,
-                        hp: baseHP,
-                        maxHp: baseHP,
-                        evolved: isEvolved,
-                        damage: isEvolved ? 2 : 0,
-                        loopsAlive: 0 // Track how many loops this alien survived
-                    });
+                    this.aliens.push(this.createAlien(row, col));
                 }
             }
         }
     }
 
+    // A fresh alien for a grid cell, as respawned at the start of a wave
+    createAlien(row, col) {
+        const isEvolved = this.evolvedCells.has(`${row},${col}`);
+        // Boss waves: aliens have 3x HP
+        let baseHP = this.upgrades.alienArmor ? 2 : 1;
+        if (this.isBossWave) {
+            baseHP *= 3;
+        }
+        return {
+            row,
+            col,
+            x: col * this.cellWidth + this.cellWidth / 2,
+            y: row * this.cellHeight + this.gridYOffset + this.cellHeight / 2,
+            alive: true,
+            hp: baseHP,
+            maxHp: baseHP,
+            evolved: isEvolved,
+            damage: isEvolved ? 2 : 0,
+            loopsAlive: 0 // Track how many loops this alien survived
+        };
+    }
+
     updateAIForWave() {
         // Scale AI based on wave number
         if (this.currentWave === 1) {
@@ -1108,8 +4240,8 @@ class Game {
             // Boss: Defender moves faster (1.5x base speed)
             const speedScale = 1 + ((this.bpm - 60) / (200 - 60)) * 1.5;
             this.defender.speed = Math.round(5 * speedScale * 1.5);
-            this.bossShieldTimer = 20 * 60; // 20 seconds
-            this.bossMissileTimer = 30 * 60; // 30 seconds
+            this.bossShieldTimer = this.difficulty.bossShield * 60; // 20 seconds on Normal
+            this.bossMissileTimer = this.difficulty.bossMissiles * 60; // 30 seconds on Normal
         } else if (this.currentWave >= 10) {
             // Berserk mode
             this.shotDelay = 200;
@@ -1122,6 +4254,43 @@ class Game {
             this.aiShotsPerTurn = 2;
             this.defenderMaxHP = 60 + ((this.currentWave - 1) * 15);
         }
+        
+        // The difficulty reshapes the ladder (Normal leaves it as is)
+        const difficulty = this.difficulty;
+        this.shotDelay = Math.round(this.shotDelay * difficulty.shotDelay);
+        this.aiAccuracy = Math.min(0.98, this.aiAccuracy * difficulty.accuracy);
+        this.aiShotsPerTurn += difficulty.extraShots;
+        this.defenderMaxHP = Math.round(this.defenderMaxHP * difficulty.hp);
+    }
+
+    // Prefix for the best-score lines; Normal goes unlabelled
+    getDifficultyLabel() {
+        return this.difficultyId === DEFAULT_DIFFICULTY ? '' : `${this.difficulty.name} `;
+    }
+
+    // Budget ceiling for a wave on the current difficulty
+    getBudgetForWave(wave) {
+        const { budgetStart, budgetStep, budgetCap } = this.difficulty;
+        return Math.min(budgetCap, budgetStart + (wave - 1) * budgetStep);
+    }
+
+    setDifficulty(difficultyId) {
+        if (!DIFFICULTIES[difficultyId] || difficultyId === this.difficultyId) return;
+        this.difficultyId = difficultyId;
+        this.difficulty = DIFFICULTIES[difficultyId];
+        this.saveDifficultyPreference(difficultyId);
+        this.loadHighScores();
+        if (this.difficultyControl) {
+            this.difficultyControl.value = difficultyId;
+        }
+        
+        // A run can't change level halfway; hot-seat rounds keep their own even rules
+        if (this.versus) {
+            this.showToast(`Difficulty: ${this.difficulty.name} (after the match)`);
+            return;
+        }
+        this.restartGame();
+        this.showToast(`Difficulty: ${this.difficulty.name} - new run`);
     }
 
     moveDefender(direction) {
@@ -1140,17 +4309,31 @@ class Game {
         const atRightWall = this.defender.x >= this.canvas.width - this.defender.width - 5;
         
         // Scan ALL incoming threats and find safest position
-        let threatMap = new Array(16).fill(0); // divide screen into 16 zones
-        const zoneWidth = this.canvas.width / 16;
+        const zones = this.gridCols; // one zone per grid column
+        const lastZone = zones - 1;
+        let threatMap = new Array(zones).fill(0);
+        const zoneWidth = this.canvas.width / zones;
         
         for (const proj of this.alienProjectiles) {
             if (!proj) continue;
             const timeToImpact = (this.defender.y - proj.y) / proj.speed;
-            if (timeToImpact > 0 && timeToImpact < 50) {
-                const zone = Math.floor(proj.x / zoneWidth);
+            if (timeToImpact > 0 && timeToImpact < this.difficulty.lookAhead) {
+                let impactX = proj.x;
+                let reach = 1;
+                if (proj.type === 'ricochet') {
+                    // Unfold the wall bounces to find where it lands
+                    const span = this.canvas.width * 2;
+                    const unfolded = ((proj.x + proj.vx * timeToImpact) % span + span) % span;
+                    impactX = unfolded > this.canvas.width ? span - unfolded : unfolded;
+                } else if (proj.type === 'shockwave') {
+                    const radiusAtImpact = Math.min(proj.maxRadius, proj.radius + 0.6 * timeToImpact);
+                    reach = Math.ceil(radiusAtImpact / zoneWidth);
+                }
+                
+                const zone = Math.max(0, Math.min(lastZone, Math.floor(impactX / zoneWidth)));
                 const urgency = 1 / (timeToImpact + 1); // closer = more dangerous
                 // Spread threat to neighboring zones
-                for (let z = Math.max(0, zone - 1); z <= Math.min(15, zone + 1); z++) {
+                for (let z = Math.max(0, zone - reach); z <= Math.min(lastZone, zone + reach); z++) {
                     threatMap[z] += urgency * (z === zone ? 1.0 : 0.5);
                 }
             }
@@ -1163,7 +4346,7 @@ class Game {
                     const zone = Math.floor((col * this.cellWidth + this.cellWidth/2) / zoneWidth);
                     // Add predictive threat to columns with aliens
                     const predictiveThreat = this.aiColumnHeatmap[col] * 0.3;
-                    for (let z = Math.max(0, zone - 1); z <= Math.min(15, zone + 1); z++) {
+                    for (let z = Math.max(0, zone - 1); z <= Math.min(lastZone, zone + 1); z++) {
                         threatMap[z] += predictiveThreat * (z === zone ? 1.0 : 0.5);
                     }
                 }
@@ -1180,17 +4363,20 @@ class Game {
             // Under fire — find safest nearby zone
             let bestZone = currentZone;
             let bestScore = Infinity;
+            // Tuned for 16 zones - scale so distances stay the same on screen
+            const zoneScale = zones / 16;
+            const searchRange = Math.round(4 * zoneScale);
             
-            for (let z = Math.max(0, currentZone - 4); z <= Math.min(15, currentZone + 4); z++) {
+            for (let z = Math.max(0, currentZone - searchRange); z <= Math.min(lastZone, currentZone + searchRange); z++) {
                 // Score = threat + distance penalty + wall penalty
                 let score = threatMap[z] * 3;
-                score += Math.abs(z - currentZone) * 0.1; // prefer nearby
+                score += Math.abs(z - currentZone) * 0.1 / zoneScale; // prefer nearby
                 
                 // Penalize corners heavily
-                if (z <= 1 || z >= 14) score += 0.5;
+                if (z < 2 * zoneScale || z > lastZone - 2 * zoneScale) score += 0.5;
                 
                 // Slight preference for center
-                score += Math.abs(z - 8) * 0.02;
+                score += Math.abs(z - zones / 2) * 0.02 / zoneScale;
                 
                 if (score < bestScore) {
                     bestScore = score;
@@ -1258,8 +4444,12 @@ class Game {
                 if (moveDir === 0) moveDir = powerUpDir;
             }
         }
+    }
+
+    // BOSS AI - special attacks, whoever is flying the defender
+    updateBossAttacks() {
+        if (this.isPaused || this.wavePhase !== 'playing') return;
         
-        // BOSS AI - special attacks
         if (this.isBossWave && this.defenderHP > 0) {
             // Shield bubble every 20 seconds
             if (this.bossShieldTimer) {
@@ -1267,7 +4457,7 @@ class Game {
                 if (this.bossShieldTimer === 0) {
                     this.bossShield = 3;
                     this.createPopup(this.canvas.width / 2, this.canvas.height - 100, 'BOSS SHIELD!', '#ffff00');
-                    this.bossShieldTimer = 20 * 60; // Reset
+                    this.bossShieldTimer = this.difficulty.bossShield * 60; // Reset
                 }
             }
             
@@ -1294,12 +4484,450 @@ class Game {
                     }
                     this.createPopup(this.canvas.width / 2, this.gridYOffset + this.gridRows * this.cellHeight + 20, 'MISSILE BARRAGE!', '#ff0000');
                     this.addShake(15);
-                    this.bossMissileTimer = 30 * 60; // Reset
+                    this.bossMissileTimer = this.difficulty.bossMissiles * 60; // Reset
+                }
+            }
+        }
+    }
+
+    // Defend mode: arrows/A/D move, Space fires. Returns true if the key is one of them.
+    setDefenderKey(key, pressed) {
+        if (key === 'ArrowLeft' || key === 'a' || key === 'A') {
+            this.keys.left = pressed;
+        } else if (key === 'ArrowRight' || key === 'd' || key === 'D') {
+            this.keys.right = pressed;
+        } else if (key === ' ' || key === 'Spacebar') {
+            this.keys.fire = pressed;
+        } else {
+            return false;
+        }
+        return true;
+    }
+
+    setDefenderMode(mode) {
+        if (mode !== 'human' && mode !== 'versus') mode = 'ai';
+        const leavingVersus = this.versus && mode !== 'versus';
+        const switchingPilot = !this.versus && mode !== 'versus' && this.aiActive !== (mode === 'ai');
+        this.aiActive = mode === 'ai';
+        this.keys = { left: false, right: false, fire: false };
+        this.touchControls.fire = false;
+        if (this.defenderModeControl) {
+            this.defenderModeControl.value = mode;
+        }
+        if (mode === 'versus') {
+            this.startVersus();
+            return;
+        }
+        if (leavingVersus || switchingPilot) {
+            // Back to a normal game from wave 1, so no run is flown by both the AI and a player
+            this.versus = null;
+            this.restartGame();
+        }
+        this.showToast(this.aiActive ? 'AI defender' : 'Defend mode: ←/→ or A/D to move, Space to fire');
+    }
+
+    // Hot-seat versus: P1 composes while P2 flies the defender, then they swap
+    startVersus() {
+        const createPlayer = name => ({ name, composerScore: 0, defenderScore: 0, roundsWon: 0 });
+        this.versus = {
+            round: 1,
+            composer: 0,
+            roundStartScore: 0,
+            roundKills: 0,
+            lastWinner: null,
+            players: [createPlayer('P1'), createPlayer('P2')]
+        };
+        this.restartGame();
+        this.beginVersusRound();
+        this.showToast('Hot-seat: P1 composes, P2 defends. Swap every round!');
+    }
+
+    // Sets up the next round: an empty grid for the composer and a fresh defender
+    beginVersusRound() {
+        const versus = this.versus;
+        const pair = Math.floor((versus.round - 1) / 2);
+        versus.composer = (versus.round - 1) % 2;
+        versus.roundStartScore = this.score;
+        versus.roundKills = 0;
+        
+        this.currentWave = versus.round;
+        this.currentLoop = 1;
+        this.isBossWave = false;
+        this.updateAIForWave();
+        this.alienBudgetMax = Math.min(24, 8 + pair * 2);
+        this.defenderMaxHP = 60 + pair * 15;
+        this.defenderHP = this.defenderMaxHP;
+        this.defenderLowHP = false;
+        this.defender.x = this.canvas.width / 2;
+        this.combo = 0;
+        
+        // Each composer starts from scratch with the full budget
+        this.clearGrid();
+        this.evolvedCells.clear();
+        this.clearHistory();
+        this.gridSelection = null;
+        
+        this.bullets = [];
+        this.alienProjectiles = [];
+        this.fireZones = [];
+        this.powerUps = [];
+        this.activePowerUps = { shield: 0, speedBoost: 0, rapidFire: 0, spreadShot: 0 };
+        this.keys = { left: false, right: false, fire: false };
+        
+        // Prepare waits for the composer's READY instead of counting down
+        this.wavePhase = 'prepare';
+        this.phaseTimer = 0;
+    }
+
+    // The composer hands the grid over and the round starts
+    versusReady() {
+        if (!this.versus || this.wavePhase !== 'prepare') return;
+        if (!this.aliens.some(alien => alien && alien.alive)) {
+            this.showToast(`${this.getVersusComposer().name}: place some beats first`);
+            return;
+        }
+        this.gridSelection = null;
+        this.wavePhase = 'playing';
+        this.phaseTimer = 0;
+        this.currentLoop = 1;
+        this.startSequencer();
+    }
+
+    // Scores the round and moves on to the next one, or to the head-to-head summary
+    endVersusRound(composerWon) {
+        const versus = this.versus;
+        const composer = this.getVersusComposer();
+        const defender = this.getVersusDefender();
+        const bonus = versus.round * VERSUS_ROUND_BONUS;
+        
+        composer.composerScore += this.score - versus.roundStartScore;
+        defender.defenderScore += versus.roundKills * VERSUS_KILL_SCORE;
+        const winner = composerWon ? composer : defender;
+        if (composerWon) {
+            composer.composerScore += bonus;
+        } else {
+            defender.defenderScore += bonus;
+        }
+        winner.roundsWon++;
+        versus.lastWinner = winner.name;
+        this.createPopup(this.canvas.width / 2, this.canvas.height / 2, `${winner.name} +${bonus}`, '#ffff00');
+        
+        this.alienProjectiles = [];
+        this.bullets = [];
+        this.keys = { left: false, right: false, fire: false };
+        
+        if (versus.round >= VERSUS_ROUNDS) {
+            this.wavePhase = 'gameover';
+            this.gameOver = true;
+        } else {
+            this.wavePhase = 'complete';
+            this.phaseTimer = 0;
+        }
+    }
+
+    getVersusComposer() {
+        return this.versus.players[this.versus.composer];
+    }
+
+    getVersusDefender() {
+        return this.versus.players[1 - this.versus.composer];
+    }
+
+    // Running totals per player, counting the round in progress
+    getVersusTotals() {
+        const versus = this.versus;
+        return versus.players.map((player, index) => {
+            let live = 0;
+            if (this.wavePhase === 'playing') {
+                live = index === versus.composer
+                    ? this.score - versus.roundStartScore
+                    : versus.roundKills * VERSUS_KILL_SCORE;
+            }
+            return player.composerScore + player.defenderScore + live;
+        });
+    }
+
+    getVersusReadyButton() {
+        return { x: this.canvas.width / 2 - 80, y: this.canvas.height / 2 + 140, width: 160, height: 40 };
+    }
+
+    setupLink() {
+        this.linkSessionInput = document.getElementById('link-session');
+        this.linkStatus = document.getElementById('link-status');
+        const hostBtn = document.getElementById('link-host');
+        const joinBtn = document.getElementById('link-join');
+        const leaveBtn = document.getElementById('link-leave');
+        if (!hostBtn || !joinBtn || !leaveBtn) return;
+        this.linkLeaveButton = leaveBtn;
+        
+        if (typeof BroadcastChannel === 'undefined') {
+            hostBtn.disabled = true;
+            joinBtn.disabled = true;
+            leaveBtn.disabled = true;
+            if (this.linkStatus) this.linkStatus.textContent = 'Not supported in this browser';
+            return;
+        }
+        
+        hostBtn.addEventListener('click', () => this.openLink('host'));
+        joinBtn.addEventListener('click', () => this.openLink('guest'));
+        leaveBtn.addEventListener('click', () => {
+            this.closeLink();
+            this.showToast('Left the link');
+        });
+        // Let the other tab know right away instead of waiting for the timeout
+        window.addEventListener('beforeunload', () => this.closeLink());
+        this.updateLinkStatus();
+    }
+
+    isLinkGuest() {
+        return !!this.link && this.link.role === 'guest';
+    }
+
+    getLinkSession() {
+        const value = this.linkSessionInput ? this.linkSessionInput.value : '';
+        return value.trim().toLowerCase().replace(/[^a-z0-9-]/g, '').slice(0, 20) || 'galaxy';
+    }
+
+    openLink(role) {
+        this.closeLink();
+        const session = this.getLinkSession();
+        let channel;
+        try {
+            channel = new BroadcastChannel(LINK_CHANNEL_PREFIX + session);
+        } catch (e) {
+            console.warn('Could not open the link channel:', e);
+            this.showToast('Link not available');
+            return;
+        }
+        
+        // A guest's own bank isn't saved again until it leaves the link
+        if (role === 'guest') {
+            this.saveSession();
+        }
+        // The linked defender replaces both the AI and a hot-seat match
+        if (this.versus) {
+            this.setDefenderMode('ai');
+        }
+        this.link = {
+            role,
+            session,
+            channel,
+            id: `${Date.now().toString(36)}${Math.floor(Math.random() * 1296).toString(36)}`,
+            peer: false,
+            peerId: null,
+            lastHeard: 0,
+            lastSent: 0,
+            frame: 0,
+            remoteInput: { left: false, right: false, fire: false },
+            sentInput: null,
+            view: null // Guest: the host's last snapshot, drawn instead of this game
+        };
+        channel.onmessage = (e) => this.handleLinkMessage(e.data);
+        if (this.defenderModeControl) this.defenderModeControl.disabled = true;
+        
+        if (role === 'guest') {
+            this.aiActive = false;
+            this.versus = null;
+            this.gridSelection = null;
+            document.body.classList.add('link-guest');
+            this.postLink({ type: 'hello' });
+            // The guest needs the draw loop running, though it never schedules a step
+            if (!this.isStarted) this.controlButton.onclick();
+            this.showToast(`Joining "${session}"...`);
+        } else {
+            this.showToast(`Hosting "${session}": open the game in another window and Join`);
+        }
+        this.updateLinkStatus();
+    }
+
+    closeLink() {
+        const link = this.link;
+        if (!link) return;
+        this.postLink({ type: 'bye' });
+        link.channel.close();
+        this.link = null;
+        if (this.defenderModeControl) this.defenderModeControl.disabled = false;
+        this.restoreDefenderMode();
+        
+        if (link.role === 'guest') {
+            // Back to this window's own game, from wave 1
+            document.body.classList.remove('link-guest');
+            this.keys = { left: false, right: false, fire: false };
+            this.versus = null;
+            this.restartGame();
+        }
+        this.updateLinkStatus();
+    }
+
+    // Back to whatever the Defender selector says
+    restoreDefenderMode() {
+        this.aiActive = !this.defenderModeControl || this.defenderModeControl.value !== 'human';
+    }
+
+    postLink(message) {
+        if (!this.link) return;
+        try {
+            this.link.channel.postMessage({ ...message, from: this.link.id });
+        } catch (e) {
+            console.warn('Link message failed:', e);
+        }
+    }
+
+    handleLinkMessage(message) {
+        const link = this.link;
+        if (!link || !message || typeof message !== 'object') return;
+        // Host messages for another guest window, or chatter from other guests
+        if (link.role === 'guest' && message.to && message.to !== link.id) return;
+        if (link.role === 'guest' && link.peerId && message.from !== link.peerId) return;
+        
+        if (link.role === 'host') {
+            if (message.type === 'hello' || message.type === 'input') {
+                // One defender at a time: another window can't take over mid-round
+                if (link.peer && (message.type === 'hello' || message.from !== link.peerId)) {
+                    if (message.type === 'hello' && message.from !== link.peerId) {
+                        this.postLink({ type: 'busy', to: message.from });
+                        this.showToast('Another window tried to join');
+                    }
+                    return;
                 }
+                if (!link.peer) {
+                    link.peer = true;
+                    link.peerId = message.from;
+                    this.aiActive = false;
+                    this.humanDefended = true;
+                    this.showToast('Defender joined from another window');
+                    this.updateLinkStatus();
+                }
+                link.lastHeard = Date.now();
+                if (message.type === 'input') {
+                    link.remoteInput = { left: !!message.left, right: !!message.right, fire: !!message.fire };
+                } else {
+                    // Draw something straight away, even before the host presses Start
+                    this.sendLinkSnapshot();
+                }
+            } else if (message.type === 'bye' && link.peer && message.from === link.peerId) {
+                this.dropLinkPeer('Defender left');
+            }
+        } else if (message.type === 'snapshot') {
+            // A malformed or stale snapshot is skipped; another follows in a frame or two
+            if (!this.applyLinkSnapshot(message.state)) return;
+            if (!link.peer) {
+                link.peer = true;
+                link.peerId = message.from;
+                this.showToast('Connected: you fly the defender');
+                this.updateLinkStatus();
+            }
+            link.lastHeard = Date.now();
+        } else if (message.type === 'busy') {
+            this.closeLink();
+            this.showToast(`Someone is already flying in "${link.session}"`);
+        } else if (message.type === 'bye' && message.from === link.peerId) {
+            this.closeLink();
+            this.showToast('The host closed the link');
+        }
+    }
+
+    // The host goes back to its own defender
+    dropLinkPeer(message) {
+        this.link.peer = false;
+        this.link.peerId = null;
+        this.link.remoteInput = { left: false, right: false, fire: false };
+        this.restoreDefenderMode();
+        this.showToast(message);
+        this.updateLinkStatus();
+    }
+
+    sendLinkSnapshot() {
+        const state = {};
+        for (const field of Object.keys(LINK_SNAPSHOT_FIELDS)) {
+            state[field] = this[field];
+        }
+        this.postLink({ type: 'snapshot', state, to: this.link.peerId });
+    }
+
+    // Keeps the snapshot as the guest's view only if every field has the right
+    // shape, so one bad message can't break draw() for every frame after it.
+    // This window's own game is left as it was. Returns whether it took it.
+    applyLinkSnapshot(state) {
+        if (!state || typeof state !== 'object') return false;
+        const fields = Object.keys(LINK_SNAPSHOT_FIELDS);
+        if (!fields.every(field => matchesLinkShape(state[field], LINK_SNAPSHOT_FIELDS[field]))) {
+            return false;
+        }
+        // draw() indexes these by row
+        const rows = state.gridRows;
+        if (state.grid.length !== rows || state.beatFlash.length !== rows || state.rowLengths.length !== rows ||
+            !state.grid.every(Array.isArray) || !state.beatFlash.every(Array.isArray)) {
+            return false;
+        }
+        this.link.view = state;
+        return true;
+    }
+
+    // draw() on a stand-in that reads the snapshot's fields and falls back to
+    // this window's for the rest (canvas, stars, toast), so nothing is copied over
+    drawLinkView() {
+        this.draw.call(Object.assign(Object.create(this), this.link.view));
+    }
+
+    // Runs once a frame: the host streams snapshots, the guest streams its input
+    syncLink() {
+        const link = this.link;
+        if (!link) return;
+        const now = Date.now();
+        
+        if (link.role === 'host') {
+            if (!link.peer) return;
+            link.frame++;
+            if (link.frame % LINK_SNAPSHOT_FRAMES === 0) {
+                this.sendLinkSnapshot();
+            }
+            if (now - link.lastHeard > LINK_TIMEOUT_MS) {
+                this.dropLinkPeer('Lost the defender window');
             }
+            return;
+        }
+        
+        // Input goes out on every change, and on a heartbeat so the host knows we're here
+        const input = this.getLocalDefenderInput();
+        const changed = !link.sentInput || ['left', 'right', 'fire'].some(key => input[key] !== link.sentInput[key]);
+        if (changed || now - link.lastSent > LINK_HEARTBEAT_MS) {
+            this.postLink({ type: 'input', ...input });
+            link.sentInput = input;
+            link.lastSent = now;
+        }
+        if (link.peer && now - link.lastHeard > LINK_TIMEOUT_MS) {
+            this.closeLink();
+            this.showToast('Lost the host window');
         }
     }
 
+    updateLinkStatus() {
+        if (this.linkLeaveButton) this.linkLeaveButton.disabled = !this.link;
+        if (!this.linkStatus) return;
+        const link = this.link;
+        if (!link) {
+            this.linkStatus.textContent = 'Off';
+        } else if (link.role === 'host') {
+            this.linkStatus.textContent = link.peer
+                ? `Hosting "${link.session}": defender connected`
+                : `Hosting "${link.session}": waiting for a defender`;
+        } else {
+            this.linkStatus.textContent = link.peer
+                ? `Flying in "${link.session}"`
+                : `Joining "${link.session}"...`;
+        }
+    }
+
+    // Human shots, on the same cooldown clock as the AI's
+    playerShoot() {
+        const currentTime = Date.now();
+        const delay = this.activePowerUps.rapidFire > 0 ? PLAYER_SHOT_DELAY / 2 : PLAYER_SHOT_DELAY;
+        if (currentTime - this.lastShotTime < delay) return;
+        this.shoot();
+        this.lastShotTime = currentTime;
+    }
+
     shoot() {
         // Spread shot fires 3 bullets in a fan
         if (this.activePowerUps.spreadShot > 0) {
@@ -1438,6 +5066,11 @@ class Game {
         if (this.currentWave >= 6) dropChance = 0.4; // 40%
         else if (this.currentWave >= 3) dropChance = 0.3; // 30%
         
+        // Hot-seat matches keep even drops whatever the difficulty
+        if (!this.versus) {
+            dropChance *= this.difficulty.dropChance;
+        }
+        
         // Loot Denial upgrade halves drop rate
         if (this.upgrades.lootDenial) {
             dropChance *= 0.5;
@@ -1478,26 +5111,26 @@ class Game {
         });
     }
 
-    alienShoot(alien) {
+    alienShoot(alien, ratchet = 1, isSubHit = false) {
         if (!alien) return;
+        const firstProjectile = this.alienProjectiles.length;
         
-        // Count aliens on same column (for SALVO bonus)
-        const aliensOnStep = this.aliens.filter(a => 
-            a && a.col === alien.col && a.alive
-        ).length;
+        // Count aliens under the playheads right now (for SALVO bonus).
+        // With polymeter the rows' playheads can sit on different columns.
+        const aliensOnStep = Math.max(1, this.getAliensUnderPlayheads(0).length);
         
         // STRATEGY: Check for SALVO (3+ in column)
         const isSalvo = aliensOnStep >= 3;
         
         // STRATEGY: Check for SYNCOPATION (off-beat = odd columns)
-        const isSyncopated = alien.col % 2 === 1;
+        const isSyncopated = this.isOffBeatStep(alien.col);
         
-        // STRATEGY: Check for SILENCE (2+ empty columns before)
+        // STRATEGY: Check for SILENCE (2+ empty steps before)
         let hasSilence = false;
         if (alien.col >= 2) {
-            const col1Empty = !this.aliens.some(a => a && a.col === alien.col - 1 && a.alive);
-            const col2Empty = !this.aliens.some(a => a && a.col === alien.col - 2 && a.alive);
-            hasSilence = col1Empty && col2Empty;
+            const step1Empty = this.getAliensUnderPlayheads(1).length === 0;
+            const step2Empty = this.getAliensUnderPlayheads(2).length === 0;
+            hasSilence = step1Empty && step2Empty;
         }
         
         // Calculate damage multipliers
@@ -1506,8 +5139,11 @@ class Game {
         if (isSyncopated) damageMultiplier *= 1.3;
         if (hasSilence) damageMultiplier *= 2.0;
         
-        // Show visual feedback
-        if (isSalvo) {
+        // Ghost notes hit softer, accents harder
+        damageMultiplier *= VELOCITY_DAMAGE[this.getCellVelocity(alien.row, alien.col) || VELOCITY.NORMAL];
+        
+        // Show visual feedback (once per ratchet volley)
+        if (isSalvo && !isSubHit) {
             this.salvoPopups.push({
                 col: alien.col,
                 y: this.gridYOffset,
@@ -1515,10 +5151,10 @@ class Game {
             });
             this.createPopup(alien.x, alien.y - 30, 'SALVO!', '#ff00ff');
         }
-        if (isSyncopated) {
+        if (isSyncopated && !isSubHit) {
             this.createPopup(alien.x, alien.y - 20, 'SYNC!', '#ffff00');
         }
-        if (hasSilence) {
+        if (hasSilence && !isSubHit) {
             this.createPopup(alien.x, alien.y - 40, 'SILENCE BREAK!', '#ffd700');
         }
         
@@ -1603,29 +5239,74 @@ class Game {
                 trail: []
             });
         } else if (alien.row === 3) {
-            // 4th row (Cyan/Extra Row) — same as snare burst
-            let bulletDamage = 3;
-            if (aliensOnStep >= 2) bulletDamage = 4;
-            if (this.isBossWave) bulletDamage = Math.floor(bulletDamage * 1.5);
+            // Tom — Ricochet shot that bounces off the side walls
+            let ricochetDamage = 7;
+            if (aliensOnStep === 2) ricochetDamage = 9;
+            if (aliensOnStep >= 3) ricochetDamage = 11;
+            if (this.isBossWave) ricochetDamage = Math.floor(ricochetDamage * 1.5);
             
             // STRATEGY: Apply multipliers and evolved bonus
-            bulletDamage = Math.floor(bulletDamage * damageMultiplier);
-            if (alien.evolved) bulletDamage += 2;
+            ricochetDamage = Math.floor(ricochetDamage * damageMultiplier);
+            if (alien.evolved) ricochetDamage += 2;
             
-            for (let i = 0; i < 3; i++) {
-                const spread = (i - 1) * 8;
-                this.alienProjectiles.push({
-                    type: 'burst',
-                    x: alien.x + spread,
-                    y: alien.y - (i * 6),
-                    width: 6,
-                    height: 10,
-                    speed: (4 + (i * 0.5)) * speedMultiplier * (this.isBossWave ? 1.3 : 1),
-                    damage: bulletDamage,
-                    color: this.isBossWave ? '#ffff00' : colors.primary,
-                    row: alien.row,
-                    aliensOnStep
-                });
+            // Angle away from the defender so the bounce brings it back
+            const defenderCenterX = this.defender.x + this.defender.width / 2;
+            const direction = alien.x < defenderCenterX ? -1 : 1;
+            this.alienProjectiles.push({
+                type: 'ricochet',
+                x: alien.x,
+                y: alien.y,
+                vx: direction * 3.5 * speedMultiplier,
+                width: 10,
+                height: 10,
+                speed: 2.5 * speedMultiplier * (this.isBossWave ? 1.3 : 1),
+                damage: ricochetDamage,
+                color: this.isBossWave ? '#ffff00' : colors.primary,
+                row: alien.row,
+                aliensOnStep,
+                bounces: 0,
+                trail: []
+            });
+        } else if (alien.row === 4) {
+            // Cymbal — Shockwave that widens as it falls, hard to dodge but slow
+            let waveDamage = 8;
+            if (aliensOnStep === 2) waveDamage = 10;
+            if (aliensOnStep >= 3) waveDamage = 12;
+            if (this.isBossWave) waveDamage = Math.floor(waveDamage * 1.5);
+            
+            // STRATEGY: Apply multipliers and evolved bonus
+            waveDamage = Math.floor(waveDamage * damageMultiplier);
+            if (alien.evolved) waveDamage += 2;
+            
+            this.alienProjectiles.push({
+                type: 'shockwave',
+                x: alien.x,
+                y: alien.y,
+                radius: 20,
+                maxRadius: 110,
+                width: 40,
+                height: 6,
+                speed: 1.5 * speedMultiplier * (this.isBossWave ? 1.3 : 1),
+                damage: waveDamage,
+                color: this.isBossWave ? '#ffff00' : colors.primary,
+                row: alien.row,
+                aliensOnStep
+            });
+        }
+        
+        // Ratchet volleys are made of smaller, weaker shots
+        if (ratchet > 1) {
+            for (const projectile of this.alienProjectiles.slice(firstProjectile)) {
+                projectile.width *= RATCHET_PROJECTILE_SCALE;
+                projectile.height *= RATCHET_PROJECTILE_SCALE;
+                if (projectile.radius) {
+                    // Shockwaves are drawn from their radius
+                    projectile.radius *= RATCHET_PROJECTILE_SCALE;
+                    projectile.maxRadius *= RATCHET_PROJECTILE_SCALE;
+                } else {
+                    projectile.scale = RATCHET_PROJECTILE_SCALE;
+                }
+                projectile.damage = Math.max(1, Math.round(projectile.damage * RATCHET_PROJECTILE_SCALE));
             }
         }
         
@@ -1636,17 +5317,30 @@ class Game {
     update() {
         if (this.isPaused) return;
 
+        // Update toast
+        if (this.toast && this.toast.life > 0) {
+            this.toast.life--;
+        }
+
+        // A linked guest draws the host's snapshots instead of simulating;
+        // only the stars behind them move
+        if (this.isLinkGuest()) {
+            this.updateStarfield();
+            return;
+        }
+
+        this.simulate(this.getDefenderInput());
+    }
+
+    // One frame of the game, with the defender steered by `input`. The
+    // hosting (or an unlinked) window runs it; a guest never does.
+    simulate(input) {
         // Freeze frame handling
         if (this.freezeFrames > 0) {
             this.freezeFrames--;
             return;
         }
         
-        // Update toast
-        if (this.toast && this.toast.life > 0) {
-            this.toast.life--;
-        }
-        
         // Update boss defeated text
         if (this.bossDefeatedText > 0) {
             this.bossDefeatedText--;
@@ -1654,13 +5348,13 @@ class Game {
 
         // Handle wave phase transitions
         if (this.wavePhase === 'prepare') {
+            if (this.versus) return; // Hot-seat rounds start on READY
             this.phaseTimer++;
             if (this.phaseTimer >= 180) { // 3 seconds at 60fps
                 this.wavePhase = 'playing';
                 this.phaseTimer = 0;
                 this.currentLoop = 1;
-                this.currentStep = 0;
-                this.lastStepTime = performance.now();
+                this.startSequencer();
             }
             return; // Don't update game during prepare
         } else if (this.wavePhase === 'cardpick') {
@@ -1669,6 +5363,12 @@ class Game {
         } else if (this.wavePhase === 'complete') {
             this.phaseTimer++;
             if (this.phaseTimer >= 120) { // 2 seconds
+                if (this.versus) {
+                    // Hot-seat: the players swap seats
+                    this.versus.round++;
+                    this.beginVersusRound();
+                    return;
+                }
                 this.currentWave++;
                 this.updateAIForWave();
                 this.isBossWave = (this.currentWave % 5 === 0);
@@ -1681,9 +5381,12 @@ class Game {
             return; // Game is over
         }
 
-        // Handle mobile touch controls
-        if (this.touchControls.left) this.moveDefender(-1);
-        if (this.touchControls.right) this.moveDefender(1);
+        // Handle mobile touch controls (and the keyboard in Defend mode)
+        if (input.left) this.moveDefender(-1);
+        if (input.right) this.moveDefender(1);
+        if (!this.aiActive && input.fire) {
+            this.playerShoot();
+        }
 
         // Update fire zones (Napalm Rounds)
         for (let i = this.fireZones.length - 1; i >= 0; i--) {
@@ -1725,6 +5428,7 @@ class Game {
         if (this.aiActive) {
             this.updateAI();
         }
+        this.updateBossAttacks();
 
         // Calculate intensity
         const totalBeats = this.aliens.filter(a => a && a.alive).length;
@@ -1741,20 +5445,7 @@ class Game {
             this.shake.intensity = 0;
         }
 
-        // Update starfield
-        const starSpeed = 0.5 + (this.bpm / 120) * 0.5 + this.intensity * 2;
-        for (const star of this.stars) {
-            if (!star) continue;
-            star.y += star.speed * starSpeed;
-            if (star.y > this.canvas.height) {
-                star.y = 0;
-                star.x = Math.random() * this.canvas.width;
-            }
-            
-            if (star.pulse > 0) {
-                star.pulse -= 0.05;
-            }
-        }
+        this.updateStarfield();
 
         // Update defender damage flash
         if (this.defenderDamageFlash > 0) {
@@ -1822,6 +5513,7 @@ class Game {
                     if (alien.hp <= 0) {
                         // Kill alien for this loop only
                         alien.alive = false;
+                        if (this.versus) this.versus.roundKills++;
                         
                         // Quick Respawn - set respawn counter
                         if (this.upgrades.quickRespawn) {
@@ -1887,6 +5579,21 @@ class Game {
                 if (!proj.trail) proj.trail = [];
                 proj.trail.push({ x: proj.x, y: proj.y });
                 if (proj.trail.length > 6) proj.trail.shift();
+            } else if (proj.type === 'ricochet') {
+                // Tom ricochet — bounce off the side walls
+                proj.x += proj.vx;
+                if (proj.x < 0 || proj.x > this.canvas.width) {
+                    proj.x = Math.max(0, Math.min(this.canvas.width, proj.x));
+                    proj.vx = -proj.vx;
+                    proj.bounces++;
+                    this.createMuzzleFlash(proj.x, proj.y, proj.row);
+                }
+                if (!proj.trail) proj.trail = [];
+                proj.trail.push({ x: proj.x, y: proj.y });
+                if (proj.trail.length > 6) proj.trail.shift();
+            } else if (proj.type === 'shockwave') {
+                // Cymbal shockwave — spreads out as it falls
+                proj.radius = Math.min(proj.maxRadius, proj.radius + 0.6);
             }
             
             proj.y += proj.speed;
@@ -1917,6 +5624,14 @@ class Game {
                 }
             }
             
+            // Cymbal shockwave hits anywhere along its width
+            if (proj.type === 'shockwave' && !hitDefender &&
+                proj.y >= this.defender.y &&
+                proj.y <= this.defender.y + this.defender.height) {
+                const defenderCenterX = this.defender.x + this.defender.width / 2;
+                hitDefender = Math.abs(proj.x - defenderCenterX) <= proj.radius + this.defender.width / 2;
+            }
+            
             if (hitDefender) {
                 // Check boss shield first
                 if (this.isBossWave && this.bossShield > 0) {
@@ -1940,21 +5655,28 @@ class Game {
                 
                 // Defender takes damage!
                 this.defenderHP -= proj.damage;
-                this.score += proj.damage;
+                
+                // Base points plus the on-beat bonus, times the combo multiplier
+                const judgement = this.judgeHitTiming();
+                const multiplier = this.registerJudgement(judgement);
+                let points = (BASE_HIT_SCORE + judgement.bonus) * multiplier;
+                this.createPopup(this.defender.x + this.defender.width/2, this.defender.y - 20,
+                    this.combo > 1 ? `${judgement.name} ${this.combo}` : judgement.name, judgement.color);
                 
                 // Bonus score for crossfire
                 if (proj.aliensOnStep === 2) {
-                    this.score += 10;
+                    points += 10;
                     this.createPopup(this.defender.x + this.defender.width/2, this.defender.y, 
-                        `+${proj.damage + 10} CROSSFIRE!`, '#ff00ff');
+                        `+${points} CROSSFIRE!`, '#ff00ff');
                 } else if (proj.aliensOnStep === 3) {
-                    this.score += 30;
+                    points += 30;
                     this.createPopup(this.defender.x + this.defender.width/2, this.defender.y, 
-                        `+${proj.damage + 30} FULL BARRAGE!`, '#ff0000');
+                        `+${points} FULL BARRAGE!`, '#ff0000');
                 } else {
                     this.createPopup(this.defender.x + this.defender.width/2, this.defender.y, 
-                        `+${proj.damage}`, '#ffff00');
+                        `+${points}`, '#ffff00');
                 }
+                this.score += points;
                 
                 // Visual feedback
                 this.defenderDamageFlash = 1.0;
@@ -2087,94 +5809,25 @@ class Game {
                 this.powerUps.splice(i, 1);
             }
         }
-
-        // Update active power-up timers
-        if (this.activePowerUps.speedBoost > 0) {
-            this.activePowerUps.speedBoost--;
-            if (this.activePowerUps.speedBoost === 0) {
-                // Restore normal speed
-                const speedScale = 1 + ((this.bpm - 60) / (200 - 60)) * 1.5;
-                this.defender.speed = Math.round(5 * speedScale);
-            }
-        }
-        if (this.activePowerUps.rapidFire > 0) {
-            this.activePowerUps.rapidFire--;
-        }
-        if (this.activePowerUps.spreadShot > 0) {
-            this.activePowerUps.spreadShot--;
-        }
-
-        // Update drum sequence
-        const currentTime = performance.now();
-        if (currentTime - this.lastStepTime >= this.stepInterval) {
-            this.lastStepTime = currentTime;
-            this.currentStep = (this.currentStep + 1) % this.gridCols;
-            
-            // Check if loop completed
-            if (this.currentStep === 0) {
-                this.currentLoop++;
-                
-                // STRATEGY: AI Adaptation after loop 3
-                if (this.currentLoop === 4 && !this.aiAdapting) {
-                    this.aiAdapting = true;
-                    this.aiAdaptMessage = 120; // 2 seconds
-                    // Build heatmap of dangerous columns
-                    for (const alien of this.aliens) {
-                        if (alien && alien.alive) {
-                            this.aiColumnHeatmap[alien.col] += 1;
-                        }
-                    }
-                }
-                if (this.currentLoop === 6) {
-                    // Increase dodge accuracy further
-                    this.aiAccuracy = Math.min(0.95, this.aiAccuracy + 0.1);
-                }
-                
-                if (this.currentLoop > this.loopsPerWave) {
-                    // STRATEGY: Mark surviving aliens for evolution every loopsPerWave loops
-                    for (const alien of this.aliens) {
-                        if (alien && alien.alive) {
-                            this.evolvedCells.add(`${alien.row},${alien.col}`);
-                        }
-                    }
-                    // Reset loop counter but keep going — no time limit!
-                    // Player only loses when ALL aliens die
-                    this.currentLoop = 1;
-                }
-                // Respawn aliens for next loop
-                this.respawnAliens();
-            }
-            
-            this.stepPulse = 1.0;
-            
-            // Play sounds and aliens shoot
-            for (let row = 0; row < this.gridRows; row++) {
-                if (this.grid[row] && this.grid[row][this.currentStep]) {
-                    const alien = this.aliens.find(a => a && a.row === row && a.col === this.currentStep && a.alive);
-                    if (alien) {
-                        this.drumMachine.playSound(row);
-                        this.beatFlash[row][this.currentStep] = 1.0;
-                        this.createSoundParticles(alien.x, alien.y, row);
-                        
-                        // Alien shoots!
-                        this.alienShoot(alien);
-                        
-                        // Volley Fire upgrade - shoot twice
-                        if (this.upgrades.volleyFire) {
-                            this.alienShoot(alien);
-                        }
-                        
-                        const shakeIntensities = [8 + this.intensity * 4, 5, 2];
-                        this.addShake(shakeIntensities[row]);
-                        
-                        this.stars.forEach(star => {
-                            if (!star) return;
-                            if (Math.random() < 0.3) star.pulse = 1.0;
-                        });
-                    }
-                }
+
+        // Update active power-up timers
+        if (this.activePowerUps.speedBoost > 0) {
+            this.activePowerUps.speedBoost--;
+            if (this.activePowerUps.speedBoost === 0) {
+                // Restore normal speed
+                const speedScale = 1 + ((this.bpm - 60) / (200 - 60)) * 1.5;
+                this.defender.speed = Math.round(5 * speedScale);
             }
         }
+        if (this.activePowerUps.rapidFire > 0) {
+            this.activePowerUps.rapidFire--;
+        }
+        if (this.activePowerUps.spreadShot > 0) {
+            this.activePowerUps.spreadShot--;
+        }
+
+        // Catch the visuals up with the steps the audio clock has reached
+        this.processStepQueue();
 
         // Update alien respawn counters (Quick Respawn upgrade)
         if (this.upgrades.quickRespawn) {
@@ -2234,8 +5887,261 @@ class Game {
         // Game over only happens after all loops complete with defender alive
     }
 
+    updateStarfield() {
+        const starSpeed = 0.5 + (this.bpm / 120) * 0.5 + this.intensity * 2;
+        for (const star of this.stars) {
+            if (!star) continue;
+            star.y += star.speed * starSpeed;
+            if (star.y > this.canvas.height) {
+                star.y = 0;
+                star.x = Math.random() * this.canvas.width;
+            }
+            
+            if (star.pulse > 0) {
+                star.pulse -= 0.05;
+            }
+        }
+    }
+
+    // Keyboard and touch on this tab
+    getLocalDefenderInput() {
+        return {
+            left: this.touchControls.left || this.keys.left,
+            right: this.touchControls.right || this.keys.right,
+            fire: this.touchControls.fire || this.keys.fire
+        };
+    }
+
+    // The hosting tab steers with the guest's input once one has joined
+    getDefenderInput() {
+        if (this.link && this.link.role === 'host' && this.link.peer) {
+            return this.link.remoteInput;
+        }
+        return this.getLocalDefenderInput();
+    }
+
+    startSequencer() {
+        // (Re)start the pattern at step 0, just ahead of the audio clock
+        this.stepQueue = [];
+        this.currentStep = 0;
+        this.nextStepIndex = 0;
+        this.rowSteps = Array(this.gridRows).fill(0);
+        this.nextRowSteps = Array(this.gridRows).fill(0);
+        this.recentRowSteps = [];
+        this.pendingVolleys = [];
+        this.lastBeatTime = null;
+        this.nextStepTime = this.drumMachine.currentTime + 0.05;
+        this.scheduledSteps = 0;
+        
+        // Songs play from their first entry
+        if (this.isSongActive() && this.song[0] !== this.currentSlot) {
+            this.storeCurrentPattern();
+            this.loadSlot(this.song[0]);
+        }
+        this.songPosition = 0;
+        this.scheduledSongPosition = 0;
+        this.scheduledSlot = this.currentSlot;
+        this.scheduledLoop = this.currentLoop;
+    }
+
+    scheduleSteps() {
+        if (this.isLinkGuest()) return; // The host tab plays the beat
+        if (!this.isStarted || this.isPaused || this.wavePhase !== 'playing') return;
+        
+        const now = this.drumMachine.currentTime;
+        const lookahead = document.hidden ? this.hiddenScheduleAheadTime : this.scheduleAheadTime;
+        
+        // Never queue into the past (e.g. after the page clock ran on while paused)
+        if (this.nextStepTime < now) {
+            this.nextStepTime = now;
+        }
+        
+        while (this.nextStepTime < now + lookahead) {
+            const step = this.nextStepIndex;
+            const loopStart = step === 0 && this.scheduledSteps > 0;
+            if (loopStart) {
+                this.advanceScheduledSlot();
+                this.scheduledLoop = this.scheduledLoop % this.loopsPerWave + 1;
+            }
+            // In a song the queued pattern can be the next one, not the one on screen
+            const slot = this.scheduledSlot;
+            const pattern = this.getSlotPattern(slot);
+            const stepsPerBeat = PATTERN_LENGTHS[pattern.length].stepsPerBeat;
+            const duration = 60 / this.bpm / stepsPerBeat;
+            // nextStepTime stays on the straight grid; swing only shifts when this step sounds
+            const time = this.nextStepTime + this.getSwingOffset(step, stepsPerBeat);
+            
+            // Each row plays its own playhead
+            const rowSteps = [];
+            for (let row = 0; row < this.gridRows; row++) {
+                const col = this.nextRowSteps[row] || 0;
+                rowSteps.push(col);
+                this.nextRowSteps[row] = (col + 1) % this.getPatternRowLength(pattern, row);
+            }
+            
+            // Chance and conditions are rolled once here, so the sound and the shot agree
+            const triggered = rowSteps.map((col, row) => {
+                const cell = pattern.grid[row] && pattern.grid[row][col];
+                return !!cell && this.cellTriggers(cell, this.scheduledLoop);
+            });
+            
+            this.stepQueue.push({ step, time, duration, loopStart, rowSteps, triggered, slot, songPosition: this.scheduledSongPosition });
+            
+            // Sound is decided now: a loop restart respawns every alien, otherwise
+            // only living aliens play. alienShoot() re-checks when the step is reached.
+            const isOnScreen = slot === this.currentSlot;
+            for (let row = 0; row < this.gridRows; row++) {
+                const col = rowSteps[row];
+                const cell = pattern.grid[row] && pattern.grid[row][col];
+                if (!cell || !triggered[row]) continue;
+                const audible = loopStart || !isOnScreen ||
+                    this.aliens.some(a => a && a.row === row && a.col === col && a.alive);
+                if (audible) {
+                    this.drumMachine.playRatchet(row, time, VELOCITY_GAIN[cell.velocity], cell.ratchet || 1, duration);
+                }
+            }
+            
+            this.nextStepTime += duration;
+            this.nextStepIndex = (step + 1) % pattern.length;
+            this.scheduledSteps++;
+        }
+    }
+
+    processStepQueue() {
+        const now = this.drumMachine.currentTime;
+        
+        // Ratchet sub-hits all land before the next step
+        const volleys = this.pendingVolleys.filter(volley => volley.time <= now);
+        if (volleys.length > 0) {
+            this.pendingVolleys = this.pendingVolleys.filter(volley => volley.time > now);
+            for (const { row, col, ratchet } of volleys) {
+                // The alien is looked up again: a respawn or an edit may have replaced it
+                const alien = this.aliens.find(a => a && a.row === row && a.col === col && a.alive);
+                if (!alien) continue;
+                this.alienShoot(alien, ratchet, true);
+                if (this.upgrades.volleyFire) {
+                    this.alienShoot(alien, ratchet, true);
+                }
+            }
+        }
+        
+        while (this.stepQueue.length > 0 && this.stepQueue[0].time <= now) {
+            const entry = this.stepQueue.shift();
+            this.advanceStep(entry, now - entry.time > this.staleStepTime);
+        }
+    }
+
+    advanceStep(entry, isStale) {
+        this.currentStep = entry.step;
+        if (entry.step % this.stepsPerBeat === 0) {
+            this.lastBeatTime = entry.time;
+        }
+        this.rowSteps = entry.rowSteps;
+        // Cells skipped by their chance or condition count as silent for SALVO/SILENCE
+        this.recentRowSteps.unshift(entry.rowSteps.map((col, row) => entry.triggered[row] ? col : -1));
+        if (this.recentRowSteps.length > 3) {
+            this.recentRowSteps.pop();
+        }
+        
+        // Check if loop completed
+        if (entry.loopStart) {
+            this.currentLoop++;
+            
+            // STRATEGY: AI Adaptation after loop 3
+            if (this.currentLoop === 4 && !this.aiAdapting) {
+                this.aiAdapting = true;
+                this.aiAdaptMessage = 120; // 2 seconds
+                // Build heatmap of dangerous columns
+                for (const alien of this.aliens) {
+                    if (alien && alien.alive) {
+                        this.aiColumnHeatmap[alien.col] += 1;
+                    }
+                }
+            }
+            if (this.currentLoop === 6) {
+                // Increase dodge accuracy further
+                this.aiAccuracy = Math.min(0.95, this.aiAccuracy + 0.1);
+            }
+            
+            if (this.currentLoop > this.loopsPerWave && this.versus) {
+                // Hot-seat rounds are timed: the defender held out
+                this.endVersusRound(false);
+                return;
+            }
+            if (this.currentLoop > this.loopsPerWave) {
+                // STRATEGY: Mark surviving aliens for evolution every loopsPerWave loops
+                for (const alien of this.aliens) {
+                    if (alien && alien.alive) {
+                        this.evolvedCells.add(`${alien.row},${alien.col}`);
+                    }
+                }
+                // Reset loop counter but keep going — no time limit!
+                // Player only loses when ALL aliens die
+                this.currentLoop = 1;
+            }
+        }
+        
+        // The song moves on to its next pattern (this respawns every alien)
+        if (entry.loopStart && this.isSongActive() && entry.slot !== this.currentSlot) {
+            this.storeCurrentPattern();
+            this.loadSlot(entry.slot, false);
+        }
+        if (entry.songPosition >= 0) {
+            this.songPosition = entry.songPosition;
+        }
+        
+        // Respawn aliens for the next loop. Shorter rows only repeat their sound
+        // in between, so a one-step row can't bring its alien back every step.
+        if (entry.loopStart) {
+            this.respawnAliens();
+        }
+        
+        // Steps that piled up while the tab was hidden only keep the bookkeeping
+        if (isStale) return;
+        
+        this.stepPulse = 1.0;
+        
+        // Aliens shoot (their drums were already queued by scheduleSteps)
+        for (let row = 0; row < this.gridRows; row++) {
+            const col = entry.rowSteps[row];
+            if (entry.triggered[row] && this.grid[row] && this.grid[row][col]) {
+                const alien = this.aliens.find(a => a && a.row === row && a.col === col && a.alive);
+                if (alien) {
+                    this.beatFlash[row][col] = 1.0;
+                    this.createSoundParticles(alien.x, alien.y, row);
+                    
+                    // Alien shoots!
+                    const ratchet = this.grid[row][col].ratchet || 1;
+                    this.alienShoot(alien, ratchet);
+                    
+                    // Volley Fire upgrade - shoot twice
+                    if (this.upgrades.volleyFire) {
+                        this.alienShoot(alien, ratchet);
+                    }
+                    
+                    // Ratchets fire the rest of their volley on the sub-hits
+                    for (let i = 1; i < ratchet; i++) {
+                        this.pendingVolleys.push({ row, col, ratchet, time: entry.time + i * entry.duration / ratchet });
+                    }
+                    
+                    const shakeIntensities = [8 + this.intensity * 4, 5, 2, 4, 6];
+                    this.addShake(shakeIntensities[row]);
+                    
+                    this.stars.forEach(star => {
+                        if (!star) return;
+                        if (Math.random() < 0.3) star.pulse = 1.0;
+                    });
+                }
+            }
+        }
+    }
+
     waveComplete() {
         // Defender destroyed - player wins wave
+        if (this.versus) {
+            this.endVersusRound(true);
+            return;
+        }
         const waveBonus = this.currentWave * 500;
         const bossBonus = this.isBossWave ? this.currentWave * 1000 : 0;
         this.score += waveBonus + bossBonus;
@@ -2247,7 +6153,7 @@ class Game {
             this.addShake(30);
         }
         
-        this.defenderMaxHP = 60 + (this.currentWave * 15); // More HP each wave
+        this.defenderMaxHP = Math.round((60 + this.currentWave * 15) * this.difficulty.hp); // More HP each wave
         this.defenderHP = this.defenderMaxHP; // Reset HP for next wave
         this.defenderLowHP = false;
         
@@ -2264,8 +6170,38 @@ class Game {
         this.bullets = [];
     }
 
+    // Judges a hit against the nearest beat: the last one heard or the next one due
+    judgeHitTiming() {
+        if (this.lastBeatTime === null) {
+            return HIT_JUDGEMENTS[HIT_JUDGEMENTS.length - 1];
+        }
+        const beatLength = 60 / this.bpm;
+        const phase = ((this.drumMachine.currentTime - this.lastBeatTime) % beatLength + beatLength) % beatLength;
+        const offset = Math.min(phase, beatLength - phase);
+        return HIT_JUDGEMENTS.find(judgement => offset <= judgement.window);
+    }
+
+    // Counts a judged hit into the combo and returns the multiplier it scores with
+    registerJudgement(judgement) {
+        if (judgement.id === 'miss') {
+            this.combo = 0;
+            return 1;
+        }
+        this.combo++;
+        this.maxCombo = Math.max(this.maxCombo, this.combo);
+        return this.getComboMultiplier();
+    }
+
+    getComboMultiplier() {
+        return Math.min(MAX_COMBO_MULTIPLIER, 1 + Math.floor(Math.max(0, this.combo - 1) / COMBO_STEP));
+    }
+
     gameLost() {
         // All aliens destroyed or wave loops completed with defender alive
+        if (this.versus) {
+            this.endVersusRound(false);
+            return;
+        }
         this.wavePhase = 'gameover';
         this.gameOver = true;
         this.saveHighScores();
@@ -2340,14 +6276,19 @@ class Game {
 
         // Draw beat column flash
         if (this.stepPulse > 0 && this.wavePhase === 'playing') {
+            // With polymeter each row only flashes its own lane
+            const polymeter = this.isPolymeter();
             for (let row = 0; row < this.gridRows; row++) {
-                if (this.grid[row] && this.grid[row][this.currentStep]) {
+                const col = this.rowSteps[row] || 0;
+                if (this.grid[row] && this.grid[row][col]) {
                     const colors = this.instrumentColors[row];
+                    const top = polymeter ? row * this.cellHeight + this.gridYOffset : this.gridYOffset;
+                    const height = polymeter ? this.cellHeight : this.gridRows * this.cellHeight;
                     const gradient = this.ctx.createLinearGradient(
-                        this.currentStep * this.cellWidth,
-                        this.gridYOffset,
-                        this.currentStep * this.cellWidth + this.cellWidth,
-                        this.gridYOffset + this.gridRows * this.cellHeight
+                        col * this.cellWidth,
+                        top,
+                        col * this.cellWidth + this.cellWidth,
+                        top + height
                     );
                     gradient.addColorStop(0, `${colors.primary}40`);
                     gradient.addColorStop(1, `${colors.secondary}40`);
@@ -2355,10 +6296,10 @@ class Game {
                     this.ctx.fillStyle = gradient;
                     this.ctx.globalAlpha = this.stepPulse * 0.4;
                     this.ctx.fillRect(
-                        this.currentStep * this.cellWidth,
-                        this.gridYOffset,
+                        col * this.cellWidth,
+                        top,
                         this.cellWidth,
-                        this.gridRows * this.cellHeight
+                        height
                     );
                     this.ctx.globalAlpha = 1;
                 }
@@ -2368,10 +6309,22 @@ class Game {
         // Draw grid
         for (let row = 0; row < this.gridRows; row++) {
             for (let col = 0; col < this.gridCols; col++) {
+                // Steps past a row's own length are out of its loop
+                if (col >= this.getRowLength(row)) {
+                    this.ctx.fillStyle = 'rgba(40, 40, 40, 0.6)';
+                    this.ctx.fillRect(
+                        col * this.cellWidth,
+                        row * this.cellHeight + this.gridYOffset,
+                        this.cellWidth,
+                        this.cellHeight
+                    );
+                    continue;
+                }
+                
                 const flashIntensity = this.beatFlash[row] && this.beatFlash[row][col] ? this.beatFlash[row][col] : 0;
                 
                 // STRATEGY: Off-beat column visual (syncopation)
-                const isOffBeat = col % 2 === 1;
+                const isOffBeat = this.isOffBeatStep(col);
                 if (isOffBeat) {
                     this.ctx.fillStyle = 'rgba(255, 255, 100, 0.05)';
                     this.ctx.fillRect(
@@ -2415,7 +6368,10 @@ class Game {
                     );
                 }
                 
-                this.ctx.strokeStyle = col % 4 === 0 ? '#444444' : (isOffBeat ? '#555533' : '#333333');
+                // Brighter lines mark each beat, brightest each bar
+                const isBarStart = col % (this.stepsPerBeat * 4) === 0;
+                const isBeatStart = col % this.stepsPerBeat === 0;
+                this.ctx.strokeStyle = isBarStart ? '#666666' : isBeatStart ? '#444444' : (isOffBeat ? '#555533' : '#333333');
                 if (isOffBeat) {
                     this.ctx.setLineDash([2, 2]);
                 }
@@ -2426,20 +6382,89 @@ class Game {
                     this.cellHeight
                 );
                 this.ctx.setLineDash([]);
+                
+                // Chance (top left), ratchet (top right) and condition (bottom right) tags
+                const cell = this.grid[row][col];
+                if (cell && !this.isPlainCell(cell)) {
+                    const cellX = col * this.cellWidth;
+                    const cellY = row * this.cellHeight + this.gridYOffset;
+                    this.ctx.fillStyle = '#aaaaaa';
+                    this.ctx.font = '8px "Courier New"';
+                    if (cell.chance < 100) {
+                        this.ctx.textAlign = 'left';
+                        this.ctx.fillText(`${cell.chance}%`, cellX + 2, cellY + 9);
+                    }
+                    if (cell.ratchet > 1) {
+                        this.ctx.textAlign = 'right';
+                        this.ctx.fillText(`x${cell.ratchet}`, cellX + this.cellWidth - 2, cellY + 9);
+                    }
+                    const condition = CELL_CONDITIONS.find(c => c.id === cell.condition);
+                    if (condition && condition.label) {
+                        this.ctx.textAlign = 'right';
+                        this.ctx.fillText(condition.label, cellX + this.cellWidth - 2, cellY + this.cellHeight - 3);
+                    }
+                    this.ctx.textAlign = 'left';
+                }
             }
         }
 
+        // Euclid generator preview: dashed outlines, red past the budget
+        if (this.euclidPreview && this.euclidPreview.row < this.gridRows) {
+            const { row, steps, pattern, affordable } = this.euclidPreview;
+            const rowY = row * this.cellHeight + this.gridYOffset;
+            this.ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
+            this.ctx.fillRect(steps * this.cellWidth, rowY, (this.gridCols - steps) * this.cellWidth, this.cellHeight);
+            this.ctx.setLineDash([4, 3]);
+            this.ctx.lineWidth = 2;
+            let hitIndex = 0;
+            pattern.forEach((hit, col) => {
+                if (!hit) return;
+                this.ctx.strokeStyle = hitIndex++ < affordable ? this.instrumentColors[row].primary : '#ff0000';
+                this.ctx.strokeRect(col * this.cellWidth + 4, rowY + 4, this.cellWidth - 8, this.cellHeight - 8);
+            });
+            this.ctx.setLineDash([]);
+            this.ctx.lineWidth = 1;
+        }
+
+        // Grid selection
+        const selection = this.getSelectionBounds();
+        if (selection) {
+            const { row0, col0, row1, col1 } = selection;
+            this.ctx.fillStyle = 'rgba(0, 170, 255, 0.15)';
+            this.ctx.strokeStyle = '#00aaff';
+            this.ctx.setLineDash([4, 3]);
+            this.ctx.lineWidth = 2;
+            this.ctx.fillRect(col0 * this.cellWidth, row0 * this.cellHeight + this.gridYOffset,
+                (col1 - col0 + 1) * this.cellWidth, (row1 - row0 + 1) * this.cellHeight);
+            this.ctx.strokeRect(col0 * this.cellWidth, row0 * this.cellHeight + this.gridYOffset,
+                (col1 - col0 + 1) * this.cellWidth, (row1 - row0 + 1) * this.cellHeight);
+            this.ctx.setLineDash([]);
+            this.ctx.lineWidth = 1;
+        }
+
         // Draw current step indicator
         if (this.wavePhase === 'playing') {
             const pulseScale = 1 + (this.stepPulse * 0.3);
             this.ctx.strokeStyle = '#00ff00';
             this.ctx.lineWidth = 2 * pulseScale;
-            this.ctx.strokeRect(
-                this.currentStep * this.cellWidth,
-                this.gridYOffset,
-                this.cellWidth,
-                this.gridRows * this.cellHeight
-            );
+            if (this.isPolymeter()) {
+                // One playhead per row
+                for (let row = 0; row < this.gridRows; row++) {
+                    this.ctx.strokeRect(
+                        (this.rowSteps[row] || 0) * this.cellWidth,
+                        row * this.cellHeight + this.gridYOffset,
+                        this.cellWidth,
+                        this.cellHeight
+                    );
+                }
+            } else {
+                this.ctx.strokeRect(
+                    this.currentStep * this.cellWidth,
+                    this.gridYOffset,
+                    this.cellWidth,
+                    this.gridRows * this.cellHeight
+                );
+            }
             this.ctx.lineWidth = 1;
         }
         
@@ -2526,6 +6551,13 @@ class Game {
                 alienScale *= 1.2;
             }
             
+            // Sprites are drawn for 16-step cells - shrink them on longer patterns
+            alienScale *= Math.min(1, this.cellWidth / 50);
+            
+            // Velocity: ghost notes are small and faint, accents big and glowing
+            const velocity = this.getCellVelocity(alien.row, alien.col) || VELOCITY.NORMAL;
+            alienScale *= VELOCITY_SCALE[velocity];
+            
             // Hit flash effect - flash white when hit
             if (alien.hitFlash && alien.hitFlash > 0) {
                 this.ctx.fillStyle = '#ffffff';
@@ -2540,6 +6572,12 @@ class Game {
             this.ctx.translate(alien.x, alien.y);
             this.ctx.scale(alienScale, alienScale);
             this.ctx.translate(-alien.x, -alien.y);
+            if (velocity === VELOCITY.GHOST) {
+                this.ctx.globalAlpha = 0.55;
+            } else if (velocity === VELOCITY.ACCENT) {
+                this.ctx.shadowBlur = 12;
+                this.ctx.shadowColor = alienColor;
+            }
             
             switch(alien.row) {
                 case 0: // Bass
@@ -2584,16 +6622,38 @@ class Game {
                     this.ctx.stroke();
                     break;
                     
-                case 3: // Cyan (Extra Row)
-                    // Draw a diamond shape
+                case 3: // Tom
+                    // Drum shell with a drumhead on top and two legs
+                    this.ctx.fillRect(alien.x - 14, alien.y - 6, 28, 14);
+                    this.ctx.strokeRect(alien.x - 14, alien.y - 6, 28, 14);
                     this.ctx.beginPath();
-                    this.ctx.moveTo(alien.x, alien.y - 12);
-                    this.ctx.lineTo(alien.x + 12, alien.y);
-                    this.ctx.lineTo(alien.x, alien.y + 12);
-                    this.ctx.lineTo(alien.x - 12, alien.y);
-                    this.ctx.closePath();
+                    this.ctx.ellipse(alien.x, alien.y - 6, 14, 5, 0, 0, Math.PI * 2);
                     this.ctx.fill();
                     this.ctx.stroke();
+                    this.ctx.beginPath();
+                    this.ctx.moveTo(alien.x - 10, alien.y + 8);
+                    this.ctx.lineTo(alien.x - 14, alien.y + 14);
+                    this.ctx.moveTo(alien.x + 10, alien.y + 8);
+                    this.ctx.lineTo(alien.x + 14, alien.y + 14);
+                    this.ctx.stroke();
+                    break;
+                    
+                case 4: // Cymbal
+                    // Wide flat disc with a bell and spikes along the rim
+                    this.ctx.beginPath();
+                    this.ctx.ellipse(alien.x, alien.y + 2, 24, 5, 0, 0, Math.PI * 2);
+                    this.ctx.fill();
+                    this.ctx.stroke();
+                    this.ctx.beginPath();
+                    this.ctx.arc(alien.x, alien.y - 2, 6, Math.PI, 0);
+                    this.ctx.fill();
+                    this.ctx.stroke();
+                    this.ctx.beginPath();
+                    for (let i = -2; i <= 2; i++) {
+                        this.ctx.moveTo(alien.x + i * 10, alien.y + 6);
+                        this.ctx.lineTo(alien.x + i * 10, alien.y + 12);
+                    }
+                    this.ctx.stroke();
                     break;
             }
             
@@ -2863,6 +6923,14 @@ class Game {
         for (const proj of this.alienProjectiles) {
             if (!proj || proj.x === undefined || proj.y === undefined) continue;
             
+            // Ratchet volley shots are drawn smaller
+            if (proj.scale) {
+                this.ctx.save();
+                this.ctx.translate(proj.x, proj.y);
+                this.ctx.scale(proj.scale, proj.scale);
+                this.ctx.translate(-proj.x, -proj.y);
+            }
+            
             if (proj.type === 'cannon') {
                 // Heavy Cannon — large glowing orb with trail
                 if (proj.trail) {
@@ -2930,6 +6998,48 @@ class Game {
                 this.ctx.closePath();
                 this.ctx.fill();
                 this.ctx.shadowBlur = 0;
+            } else if (proj.type === 'ricochet') {
+                // Tom ricochet — spinning green square with a short trail
+                if (proj.trail && proj.trail.length > 1 && proj.trail[0]) {
+                    this.ctx.strokeStyle = proj.color;
+                    this.ctx.lineWidth = 3;
+                    this.ctx.globalAlpha = 0.4;
+                    this.ctx.beginPath();
+                    this.ctx.moveTo(proj.trail[0].x, proj.trail[0].y);
+                    for (let i = 1; i < proj.trail.length; i++) {
+                        if (!proj.trail[i]) continue;
+                        this.ctx.lineTo(proj.trail[i].x, proj.trail[i].y);
+                    }
+                    this.ctx.stroke();
+                    this.ctx.globalAlpha = 1;
+                    this.ctx.lineWidth = 1;
+                }
+                
+                this.ctx.save();
+                this.ctx.translate(proj.x, proj.y);
+                this.ctx.rotate(proj.y / 10);
+                this.ctx.shadowBlur = 10;
+                this.ctx.shadowColor = proj.color;
+                this.ctx.fillStyle = proj.color;
+                this.ctx.fillRect(-5, -5, 10, 10);
+                this.ctx.strokeStyle = '#ffffff';
+                this.ctx.strokeRect(-5, -5, 10, 10);
+                this.ctx.restore();
+            } else if (proj.type === 'shockwave') {
+                // Cymbal shockwave — a wide shimmering arc
+                this.ctx.shadowBlur = 12;
+                this.ctx.shadowColor = proj.color;
+                this.ctx.strokeStyle = proj.color;
+                this.ctx.lineWidth = 4;
+                this.ctx.beginPath();
+                this.ctx.ellipse(proj.x, proj.y - 10, proj.radius, 14, 0, Math.PI * 0.15, Math.PI * 0.85);
+                this.ctx.stroke();
+                this.ctx.globalAlpha = 0.5;
+                this.ctx.strokeStyle = '#ffffff';
+                this.ctx.lineWidth = 1;
+                this.ctx.stroke();
+                this.ctx.globalAlpha = 1;
+                this.ctx.shadowBlur = 0;
             } else {
                 // Default/fallback
                 this.ctx.shadowBlur = 10;
@@ -2938,6 +7048,10 @@ class Game {
                 this.ctx.fillRect(proj.x - proj.width/2, proj.y, proj.width, proj.height);
                 this.ctx.shadowBlur = 0;
             }
+            
+            if (proj.scale) {
+                this.ctx.restore();
+            }
         }
 
         // Draw debris
@@ -3054,23 +7168,47 @@ class Game {
         }
         this.ctx.textAlign = 'left';
         
-        // Score
-        this.ctx.fillStyle = '#00ff00';
-        this.ctx.font = 'bold 20px "Courier New"';
-        this.ctx.fillText(`Score: ${this.score}`, 10, 30);
+        // Score, or one column per player in hot-seat
+        if (this.versus) {
+            const totals = this.getVersusTotals();
+            this.versus.players.forEach((player, index) => {
+                const composing = index === this.versus.composer;
+                this.ctx.fillStyle = composing ? '#ff00ff' : '#00ffff';
+                this.ctx.font = 'bold 20px "Courier New"';
+                this.ctx.fillText(`${player.name}: ${totals[index]}`, 10 + index * 150, 30);
+                this.ctx.font = '12px "Courier New"';
+                this.ctx.fillText(`${composing ? '♪ COMPOSER' : '✈ DEFENDER'} · ${player.roundsWon}W`, 10 + index * 150, 50);
+            });
+        } else {
+            this.ctx.fillStyle = '#00ff00';
+            this.ctx.font = 'bold 20px "Courier New"';
+            this.ctx.fillText(`Score: ${this.score}`, 10, 30);
+        }
         
         // High score (subtle, top left)
-        if (this.highScore > 0) {
+        if (this.highScore > 0 && !this.versus) {
             this.ctx.fillStyle = '#888888';
             this.ctx.font = '12px "Courier New"';
-            this.ctx.fillText(`Best: W${this.highWave} / ${this.highScore}`, 10, 50);
+            this.ctx.fillText(`${this.getDifficultyLabel()}Best: W${this.highWave} / ${this.highScore}`, 10, 50);
+        }
+        
+        // Combo and its multiplier
+        if (this.combo > 1) {
+            const multiplier = this.getComboMultiplier();
+            this.ctx.fillStyle = multiplier > 1 ? '#ff00ff' : '#ffff00';
+            this.ctx.font = 'bold 12px "Courier New"';
+            this.ctx.fillText(`COMBO ${this.combo}${multiplier > 1 ? ` x${multiplier}` : ''}`, 10, 72);
         }
         
         // Wave counter (top right)
         this.ctx.textAlign = 'right';
         this.ctx.fillStyle = this.isBossWave ? '#ffff00' : '#00ff00';
         this.ctx.font = 'bold 24px "Courier New"';
-        this.ctx.fillText(this.isBossWave ? `⚡ BOSS WAVE ${this.currentWave} ⚡` : `WAVE ${this.currentWave}`, this.canvas.width - 10, 30);
+        if (this.versus) {
+            this.ctx.fillText(`ROUND ${this.versus.round}/${VERSUS_ROUNDS}`, this.canvas.width - 10, 30);
+        } else {
+            this.ctx.fillText(this.isBossWave ? `⚡ BOSS WAVE ${this.currentWave} ⚡` : `WAVE ${this.currentWave}`, this.canvas.width - 10, 30);
+        }
         
         // Loop counter
         if (this.wavePhase === 'playing') {
@@ -3079,6 +7217,11 @@ class Game {
             this.ctx.fillText(`Loop ${this.currentLoop}/${this.loopsPerWave}`, this.canvas.width - 10, 55);
         }
         
+        // Pattern slot, or the song with the playing entry
+        this.ctx.fillStyle = '#00aaff';
+        this.ctx.font = '12px "Courier New"';
+        this.ctx.fillText(this.getSongLabel(), this.canvas.width - 10, 72);
+        
         this.ctx.textAlign = 'left';
         
         // HP bar at bottom
@@ -3303,7 +7446,9 @@ class Game {
         }
 
         // Wave phase overlays
-        if (this.wavePhase === 'prepare') {
+        if (this.wavePhase === 'prepare' && this.versus) {
+            this.drawVersusPrepare();
+        } else if (this.wavePhase === 'prepare') {
             this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
             this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
             
@@ -3423,6 +7568,10 @@ class Game {
             
             this.ctx.textAlign = 'left';
             this.ctx.textBaseline = 'alphabetic';
+        } else if (this.wavePhase === 'complete' && this.versus) {
+            this.drawVersusRoundEnd();
+        } else if (this.wavePhase === 'gameover' && this.versus) {
+            this.drawVersusSummary();
         } else if (this.wavePhase === 'complete') {
             this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
             this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
@@ -3459,21 +7608,23 @@ class Game {
             this.ctx.font = 'bold 24px "Courier New"';
             this.ctx.fillText(`Wave Reached: ${this.currentWave}`, this.canvas.width / 2, this.canvas.height / 2 + 20);
             this.ctx.fillText(`Final Score: ${this.score}`, this.canvas.width / 2, this.canvas.height / 2 + 55);
+            this.ctx.font = 'bold 18px "Courier New"';
+            this.ctx.fillText(`Max Combo: ${this.maxCombo}`, this.canvas.width / 2, this.canvas.height / 2 + 85);
             
             // High score display
             if (this.score >= this.highScore || this.currentWave >= this.highWave) {
                 this.ctx.fillStyle = '#00ff00';
                 this.ctx.font = 'bold 20px "Courier New"';
-                this.ctx.fillText('★ NEW HIGH SCORE! ★', this.canvas.width / 2, this.canvas.height / 2 + 90);
+                this.ctx.fillText('★ NEW HIGH SCORE! ★', this.canvas.width / 2, this.canvas.height / 2 + 120);
             } else {
                 this.ctx.fillStyle = '#888888';
                 this.ctx.font = '16px "Courier New"';
-                this.ctx.fillText(`Best: Wave ${this.highWave} / ${this.highScore}`, this.canvas.width / 2, this.canvas.height / 2 + 90);
+                this.ctx.fillText(`${this.getDifficultyLabel()}Best: Wave ${this.highWave} / ${this.highScore} / Combo ${this.bestCombo}`, this.canvas.width / 2, this.canvas.height / 2 + 120);
             }
             
             this.ctx.fillStyle = '#00ff00';
             this.ctx.font = '18px "Courier New"';
-            this.ctx.fillText('Press R or Tap to Restart', this.canvas.width / 2, this.canvas.height / 2 + 130);
+            this.ctx.fillText('Press R or Tap to Restart', this.canvas.width / 2, this.canvas.height / 2 + 155);
             this.ctx.textAlign = 'left';
         }
 
@@ -3482,13 +7633,118 @@ class Game {
         this.canvas.style.boxShadow = `0 0 ${glowIntensity}px rgba(0, 255, 0, ${this.intensity * 0.5})`;
     }
 
+    // Hot-seat prepare: the composer builds the grid while the defender waits
+    drawVersusPrepare() {
+        const composer = this.getVersusComposer();
+        const defender = this.getVersusDefender();
+        const centerX = this.canvas.width / 2;
+        const centerY = this.canvas.height / 2;
+        
+        // Lighter than the usual overlay so the grid stays readable
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        
+        this.ctx.textAlign = 'center';
+        this.ctx.fillStyle = '#ffff00';
+        this.ctx.font = 'bold 32px "Courier New"';
+        this.ctx.fillText(`ROUND ${this.versus.round}/${VERSUS_ROUNDS}`, centerX, centerY + 40);
+        
+        this.ctx.font = 'bold 20px "Courier New"';
+        this.ctx.fillStyle = '#ff00ff';
+        this.ctx.fillText(`${composer.name} COMPOSE`, centerX - 110, centerY + 75);
+        this.ctx.fillStyle = '#00ffff';
+        this.ctx.fillText(`${defender.name} DEFEND`, centerX + 110, centerY + 75);
+        
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.font = '14px "Courier New"';
+        this.ctx.fillText(`Budget ${this.alienBudget}/${this.alienBudgetMax} · ${defender.name} look away!`, centerX, centerY + 105);
+        
+        const button = this.getVersusReadyButton();
+        this.ctx.fillStyle = 'rgba(0, 255, 0, 0.2)';
+        this.ctx.fillRect(button.x, button.y, button.width, button.height);
+        this.ctx.strokeStyle = '#00ff00';
+        this.ctx.lineWidth = 2;
+        this.ctx.strokeRect(button.x, button.y, button.width, button.height);
+        this.ctx.fillStyle = '#00ff00';
+        this.ctx.font = 'bold 18px "Courier New"';
+        this.ctx.fillText('READY (Enter)', centerX, button.y + 26);
+        this.ctx.textAlign = 'left';
+    }
+
+    drawVersusRoundEnd() {
+        const centerX = this.canvas.width / 2;
+        const centerY = this.canvas.height / 2;
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        
+        this.ctx.textAlign = 'center';
+        this.ctx.fillStyle = '#00ff00';
+        this.ctx.font = 'bold 48px "Courier New"';
+        this.ctx.fillText(`${this.versus.lastWinner} TAKES ROUND ${this.versus.round}`, centerX, centerY - 40);
+        
+        // Roles swap next round
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.font = 'bold 20px "Courier New"';
+        this.ctx.fillText(`Swap! ${this.getVersusDefender().name} composes next`, centerX, centerY + 20);
+        this.ctx.textAlign = 'left';
+    }
+
+    // Head-to-head summary at the end of a hot-seat match
+    drawVersusSummary() {
+        const [p1, p2] = this.versus.players;
+        const [total1, total2] = this.getVersusTotals();
+        const centerX = this.canvas.width / 2;
+        const top = this.canvas.height / 2 - 150;
+        
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.85)';
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        
+        this.ctx.textAlign = 'center';
+        this.ctx.fillStyle = '#00ffff';
+        this.ctx.font = 'bold 40px "Courier New"';
+        this.ctx.fillText('HEAD TO HEAD', centerX, top);
+        
+        // Total score decides, rounds won break a tie
+        const margin = (total1 - total2) || (p1.roundsWon - p2.roundsWon);
+        this.ctx.fillStyle = '#ffff00';
+        this.ctx.font = 'bold 28px "Courier New"';
+        this.ctx.fillText(margin === 0 ? 'DRAW!' : `${margin > 0 ? p1.name : p2.name} WINS!`, centerX, top + 45);
+        
+        const rows = [
+            ['', p1.name, p2.name],
+            ['Composing', p1.composerScore, p2.composerScore],
+            ['Defending', p1.defenderScore, p2.defenderScore],
+            ['Rounds won', p1.roundsWon, p2.roundsWon],
+            ['Total', total1, total2]
+        ];
+        rows.forEach((row, index) => {
+            const y = top + 95 + index * 32;
+            this.ctx.fillStyle = index === 0 || index === rows.length - 1 ? '#00ff00' : '#ffffff';
+            this.ctx.font = index === 0 || index === rows.length - 1 ? 'bold 20px "Courier New"' : '18px "Courier New"';
+            this.ctx.textAlign = 'left';
+            this.ctx.fillText(`${row[0]}`, centerX - 200, y);
+            this.ctx.textAlign = 'right';
+            this.ctx.fillText(`${row[1]}`, centerX + 70, y);
+            this.ctx.fillText(`${row[2]}`, centerX + 200, y);
+        });
+        
+        this.ctx.textAlign = 'center';
+        this.ctx.fillStyle = '#00ff00';
+        this.ctx.font = '18px "Courier New"';
+        this.ctx.fillText('Press R or Tap for a Rematch', centerX, top + 290);
+        this.ctx.textAlign = 'left';
+    }
+
     animate() {
         if (!this.isPaused) {
             this.update();
-            this.draw();
+        }
+        if (this.isLinkGuest() && this.link.view) {
+            this.drawLinkView();
         } else {
             this.draw();
         }
+        this.syncLink();
         requestAnimationFrame(() => this.animate());
     }
 }